@@ -0,0 +1,123 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { bakeAtlas } from '../lib/characterAtlas';
+import { createCanvasRenderer } from '../lib/canvasRenderer';
+import { createPixiRenderer } from '../lib/pixiRenderer';
+import { fitViewport, watchResolution } from '../lib/camera';
+
+/**
+ * The plane's canvas renderers: draws character display lists (see
+ * lib/characterScene.js) with Pixi on WebGL, or on a 2D canvas where WebGL
+ * isn't available or fails to start.
+ *
+ * It's laid out like the SVG plane: `viewport` is fitted into the canvas the
+ * way `preserveAspectRatio="xMidYMid meet"` does, and `viewBox` pans and zooms
+ * the world inside it (see lib/camera.js). Pointer and wheel input is left to
+ * the parent.
+ */
+const CharacterCanvas = ({ descriptions, viewBox, viewport, catalog, className }) => {
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+  const [atlas, setAtlas] = useState(null);
+  const [kind, setKind] = useState('webgl');
+  // Bumped whenever a renderer is ready, so it's handed the current scene
+  const [rendererVersion, setRendererVersion] = useState(0);
+  const [size, setSize] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    bakeAtlas(catalog)
+      .then((baked) => {
+        if (!cancelled) setAtlas(baked);
+      })
+      .catch((error) => console.error('Error baking the character atlas:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [catalog]);
+
+  useEffect(() => {
+    if (!atlas) return;
+    const canvas = canvasRef.current;
+    const options = {
+      width: canvas.clientWidth,
+      height: canvas.clientHeight,
+      resolution: window.devicePixelRatio || 1,
+    };
+    let cancelled = false;
+
+    const start = async () => {
+      if (kind === 'canvas') return createCanvasRenderer(canvas, atlas, options);
+      const { isWebGLSupported } = await import('pixi.js');
+      if (!isWebGLSupported()) throw new Error('WebGL is not supported');
+      return createPixiRenderer(canvas, atlas, options);
+    };
+
+    start()
+      .then((renderer) => {
+        if (cancelled) {
+          renderer.destroy();
+          return;
+        }
+        rendererRef.current = renderer;
+        setRendererVersion((version) => version + 1);
+      })
+      .catch((error) => {
+        if (kind === 'canvas') {
+          console.error('Error starting the canvas renderer:', error);
+          return;
+        }
+        // A canvas that had a WebGL context can't give a 2D one, so the
+        // fallback gets a fresh element (see the `key` below)
+        console.warn('Falling back to Canvas2D:', error);
+        if (!cancelled) setKind('canvas');
+      });
+
+    return () => {
+      cancelled = true;
+      rendererRef.current?.destroy();
+      rendererRef.current = null;
+    };
+  }, [atlas, kind]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !window.ResizeObserver) return;
+
+    const resize = () => {
+      const next = { width: canvas.clientWidth, height: canvas.clientHeight, resolution: window.devicePixelRatio || 1 };
+      setSize(next);
+      rendererRef.current?.resize(next.width, next.height, next.resolution);
+    };
+    const observer = new ResizeObserver(resize);
+    observer.observe(canvas);
+    // A new pixel ratio doesn't resize the canvas, but needs a sharper backing store
+    const stopWatching = watchResolution(resize);
+    return () => {
+      observer.disconnect();
+      stopWatching();
+    };
+  }, [kind]);
+
+  useEffect(() => {
+    rendererRef.current?.setScene(descriptions);
+  }, [descriptions, rendererVersion]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!rendererRef.current || !canvas) return;
+    const width = size?.width ?? canvas.clientWidth;
+    const height = size?.height ?? canvas.clientHeight;
+
+    // Fit the viewport like `xMidYMid meet`, then pan and zoom inside it
+    const fit = fitViewport(viewport, width, height);
+    rendererRef.current.setCamera({
+      x: fit.x + fit.scale * (viewport.centerX + viewBox.x),
+      y: fit.y + fit.scale * (viewport.centerY + viewBox.y),
+      scale: fit.scale * viewBox.scale,
+    });
+  }, [viewBox, viewport, size, rendererVersion]);
+
+  return <canvas key={kind} ref={canvasRef} className={className} data-renderer={kind} />;
+};
+
+export default CharacterCanvas;
@@ -5,118 +5,48 @@ import React, {
   useCallback,
   useMemo,
   useTransition,
+  forwardRef,
+  useImperativeHandle,
 } from 'react';
 import { SVGComponents, renderSVG } from './svgs';
-import { debounce } from 'lodash';
+import { readHolderStream } from '../lib/holderStream';
+import { characterScale, getBodyColor, getCharacterSpec, LANDMARK_SCALE } from '../../lib/characterSpec';
+import { DEFAULT_LAYOUT, isLayout, LAYOUTS } from '../lib/layouts';
+import { DEFAULT_RENDERER, isRenderer, RENDERERS } from '../lib/renderers';
+import { CHARACTER_EXTENT, describeCharacter, describeDot, describeLandmark, DOT } from '../lib/characterScene';
+import { levelOfDetail } from '../lib/levelOfDetail';
+import { querySpatialIndex, sceneRegion } from '../lib/spatialIndex';
+import { createCamera, watchResolution } from '../lib/camera';
+import { createCameraController } from '../lib/cameraController';
+import { getCharacterOptions } from '../../lib/tokens';
+import { getTraitCatalog } from '../../lib/traitPacks';
+import { BODY_LAYER, HEAD_LAYER, holderStandings } from '../../lib/accessories';
+import { isRare, rankRarity } from '../../lib/rarity';
+import { assertSchemaVersion, parseHolder } from '../../lib/schema';
+import { ratio } from '../../lib/amounts';
+import Timeline from './Timeline';
+import CharacterCanvas from './CharacterCanvas';
 import { memo } from 'react';
 import { Permanent_Marker } from 'next/font/google';
-import randomColor from 'randomcolor';
 
 const permanentMarker = Permanent_Marker({
   weight: '400',
   subsets: ['latin'],
 });
 
+// Zoom per wheel notch, as the log of the factor, so zooming out mirrors
+// zooming in and never flips the scale's sign. Pinches zoom by their own
+// scale raised to `pinch`
 const ZOOM_SPEED = {
   desktop: 0.14,
-  mobile: 2,
+  mobile: 0.2,
+  pinch: 2,
 };
-const PAN_SPEED = {
-  desktop: 1.5,
-  mobile: 3.5,
+// Arrow keys pan by this share of the surface's width; +/- zoom by this factor
+const KEYBOARD = {
+  panStep: 0.15,
+  zoomFactor: 1.25,
 };
-const CULLING_MARGIN = {
-  desktop: 500,
-  mobile: 800
-};
-
-const speechOptions = [
-  'Bags are mooning',
-  '51% win rate brah!',
-  'I ❤️ memecoins',
-  'I copy trade OSF',
-  'Screw VC coins',
-  'The trenches are calling',
-  "I'am streaming on Pump",
-  'I am a TA god',
-  "I am Binance Listing Intern",
-  "The dev burn 69% of the supply",
-  "King of the hills",
-  'Bull goes mooo 🐂',
-  '69,000% PNL',
-  'I bought $SOL at $8',
-  "megacycle!",
-  'I am the dev',
-  'I Choose rich!',
-  'I am my bag and my bag is me',
-  'Hail to the Kabal!',
-  "🎵Dont you know pump it up🎵",
-  'I am just a chillguy',
-  '🎵I snipe, I pump, I dump it up🎵',
-  'Truth Terminal is my mate',
-  'I am a $WOD whale',
-  'The hat stays on',
-  'I ❤️ $WOD',
-  'I am a cryptofluencer',
-  'ChatGPT created me',
-  'I bought $PNUT at $20k',
-  'Streaming till $100M',
-  'Mr. Siriuss invstooorr',
-  "I was born in the tranches, I'll die in the tranches",
-  'Respect the pump brah',
-  "I'm a pump and dump artist",
-  'I am going to memecon!',
-  "I hold the floor",
-  "I short the tops",
-  "The ticker is $WOD",
-  "I'm in it for the tech",
-  "I'm an insider",
-  'I am an AI agent',
-  'I am a serious investor',
-  'I take profits',
-  'I never sell',
-  "Trust the process",
-  'Bounded!',
-  'GM brah'
-];
-const sadSpeechOptions = [
-  'Frank just bought',
-  'I hold ETH',
-  'I only buy Becker coins',
-  'Funds are SAFU',
-  '1% float, $1B FDV',
-  'I FOMO at the top',
-  'I long tops',
-  'I short bottoms',
-  'Twenty bandos',
-  'wen Binance',
-  'I always buy the top',
-  'My bag is only Murad coins',
-  'I wish I was Ansem',
-  'I got MEVed',
-  'I am a Cardano community member',
-  'Bitboy is my dad',
-  'I invest in DeFi',
-  "I wish I had Farokh's hairs",
-  'Dev rugged me',
-  'I am an airdrop farmer',
-  'aww! It went to $0',
-  'I round tripped BAYC',
-  'I have a BAYC PFP',
-  'I faded memecoins',
-  'E. Warren is my gf',
-  'I am a cardano dev',
-  'God hates memecoins',
-  'I copy traded Frank',
-  "I am Tate's gf",
-  'Sure, Metamask support, here is my PK',
-  'I am a VC',
-  'I voted Kamala',
-  'Garry Gensler is my dad',
-  'Dev holds 99%',
-  'I am a community member'
-];
-
 const GradientSwatch = memo(
   ({ gradient, onClick, isActive }) => (
     <button
@@ -143,6 +73,7 @@ const GradientSwatch = memo(
     prevProps.isActive === nextProps.isActive &&
     prevProps.gradient.name === nextProps.gradient.name,
 );
+GradientSwatch.displayName = 'GradientSwatch';
 
 const FIXED_VIEWPORT = {
   width: 1920, // Standard desktop width
@@ -158,293 +89,738 @@ const CharacterBody = memo(({ bodyIndex, baseSize, bodyColor }) => (
     style={{ color: bodyColor }}
   />
 ));
+CharacterBody.displayName = 'CharacterBody';
 
-const CharacterHead = memo(({ mood, headIndex, baseSize, headOffset = 0 }) => (
+const CharacterHead = memo(({ headSet, headIndex, baseSize, headOffset = 0 }) => (
   <use
-    href={`#head-${mood}-${headIndex}`}
+    href={`#head-${headSet}-${headIndex}`}
     transform={`translate(${-baseSize * 2}, ${-(baseSize + headOffset)})`}
   />
 ));
+CharacterHead.displayName = 'CharacterHead';
+
+// Accessory definitions are named after their part id, which has slashes
+const accessoryDefinitionId = (id) => `accessory-${id.replace(/[^\w-]/g, '-')}`;
+
+// Worn with the transform of its part (see lib/accessories.ts), in the body colour
+const CharacterAccessory = memo(({ id, part, offset, baseSize, bodyColor, headOffset = 0 }) => (
+  <use
+    href={`#${accessoryDefinitionId(id)}`}
+    transform={`translate(${-baseSize * 2 + offset.x}, ${-(baseSize + (part === 'head' ? headOffset : 0)) + offset.y})`}
+    style={{ color: bodyColor }}
+  />
+));
+CharacterAccessory.displayName = 'CharacterAccessory';
+
+const LANDMARK_ICONS = {
+  pool: '🏊',
+  burn: '🔥',
+  exchange: '🏦',
+  program: '🤖',
+  custom: '🚧',
+};
+
+// Excluded wallets (pools, burn address, exchanges) kept on the map as signposts
+const Landmark = memo(({ x, y, label, category, walletAddress, appear = 1 }) => {
+  const baseSize = 400;
+  const scale = LANDMARK_SCALE;
+
+  return (
+    <g transform={`translate(${x}, ${y}) scale(${scale * appear})`} opacity={appear}>
+      <rect
+        x={-20}
+        y={-baseSize * 0.3}
+        width={40}
+        height={baseSize * 1.5}
+        fill="#5b4636"
+        stroke="black"
+        strokeWidth="4"
+      />
+      <rect
+        x={-baseSize * 1.1}
+        y={-baseSize * 0.9}
+        width={baseSize * 2.2}
+        height={baseSize * 0.7}
+        rx="30"
+        fill="white"
+        stroke="black"
+        strokeWidth="6"
+      />
+      <text
+        y={-baseSize * 0.55}
+        textAnchor="middle"
+        dominantBaseline="middle"
+        fontSize="80px"
+        fill="black"
+        className={permanentMarker.className}
+      >
+        {`${LANDMARK_ICONS[category] || LANDMARK_ICONS.custom} ${label}`}
+      </text>
+      <text
+        y={baseSize * 1.4}
+        textAnchor="middle"
+        style={{
+          fontSize: `${18 / scale}px`,
+          fill: '#666',
+          fontFamily: 'monospace',
+        }}
+      >
+        {`${walletAddress.slice(0, 4)}...${walletAddress.slice(-4)}`}
+      </text>
+    </g>
+  );
+});
+Landmark.displayName = 'Landmark';
+
+// Shown next to wallets that moved since the previous snapshot
+const CHANGE_BADGES = {
+  new: '✨',
+  exited: '👻',
+  accumulating: '📈',
+  distributing: '📉',
+};
+
+const GHOST_SIZE = 0.2;
+
+const TIMELAPSE = {
+  maxFrames: 500,
+  transitionDuration: 1200, // Time the worker spends gliding between two snapshots
+  frameDuration: 1800, // Time each snapshot stays on screen while playing
+};
+
+const NO_CHANGES = new Map();
+
+const toCharacterData = (holder) => ({
+  holderID: holder.owner,
+  amount: holder.amount, // Base units, to size bags again when the largest one changes
+  size: holder.normalizedSize,
+  share: Number(holder.percentage), // Only used to lay out and rank, so a float is plenty
+  slot: holder.slot,
+  since: holder.since,
+  og: holder.og,
+  landmark: holder.landmark,
+});
+
+// Bags are sized against the largest degen's, as the server does
+const isDegen = (item) => !item.landmark && !item.ghost;
+const largestBag = (items) =>
+  items.reduce((max, item) => {
+    const amount = isDegen(item) ? BigInt(item.amount) : BigInt(0);
+    return amount > max ? amount : max;
+  }, BigInt(0));
+
+// Live deltas re-rank at most this often (ms), however fast they come
+const RANKING_DELAY = 1000;
+
+// A wallet's rarity traits only depend on its address and the token's trait
+// options, so specs are kept per options object (one per token: seed version
+// and packs) and wallet rather than rebuilt on every delta
+const rankingSpecs = new WeakMap();
+const rankingSpec = (holderID, options) => {
+  if (!rankingSpecs.has(options)) rankingSpecs.set(options, new Map());
+  const specs = rankingSpecs.get(options);
+  if (!specs.has(holderID)) specs.set(holderID, getCharacterSpec(holderID, 1, options));
+  return specs.get(holderID);
+};
 
 const INITIAL_ZOOM = {
   desktop: 0.2,
   mobile: 0.4
 };
 
-const CharacterPlane = () => {
+// API path scoped to the token this world belongs to
+const apiUrl = (path, mint, params = {}) => `${path}?${new URLSearchParams({ mint, ...params })}`;
+
+const CharacterPlane = forwardRef(({ token }, ref) => {
   const isMobile = typeof window !== 'undefined' && /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
   const [loading, setLoading] = useState(true);
-  const [characterPositions, setCharacterPositions] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  // Where everyone is, and the spatial index of that list in segments (see app/lib/spatialIndex.js)
+  const [world, setWorld] = useState(() => ({ positions: [], segments: [] }));
+  const characterPositions = world.positions;
+  const [holderChanges, setHolderChanges] = useState(() => new Map());
   const [searchInput, setSearchInput] = useState('');
+  const [rarity, setRarity] = useState(() => ({ ranks: new Map(), total: 0 }));
+  // Where each holder stands by bag size, for the accessories it earns
+  const [standings, setStandings] = useState(() => new Map());
+  const [rarestOnly, setRarestOnly] = useState(false);
+  // ?layout=<id> in the page URL opens the plane in that layout
+  const [layout, setLayout] = useState(() => {
+    const requested = typeof window !== 'undefined' && new URLSearchParams(window.location.search).get('layout');
+    return isLayout(requested) ? requested : DEFAULT_LAYOUT;
+  });
+  const layoutRef = useRef(layout);
+  // ?renderer=<id> picks how characters are drawn
+  const [renderer, setRenderer] = useState(() => {
+    const requested = typeof window !== 'undefined' && new URLSearchParams(window.location.search).get('renderer');
+    return isRenderer(requested) ? requested : DEFAULT_RENDERER;
+  });
   const [viewBox, setViewBox] = useState({ 
     x: 0, 
     y: 0, 
     scale: isMobile ? INITIAL_ZOOM.mobile : INITIAL_ZOOM.desktop 
   });
-  const panStateRef = useRef(null);
   const workerRef = useRef(null);
+  const [timelapse, setTimelapse] = useState(null); // { snapshots, index } while replaying
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isFrameLoading, setIsFrameLoading] = useState(false);
+  const [frameError, setFrameError] = useState(null); // Why the last frame asked for didn't load
+  const timelapseWorkerRef = useRef(null);
+  const liveDataRef = useRef([]); // Holders of the live list, as sent to the worker
+  const shownFrameRef = useRef(null); // Holders of the time-lapse frame on screen
+  const requestedFrameRef = useRef(null);
+  const frameCacheRef = useRef(new Map());
+  const timelapseRef = useRef(null);
+  const liveSourceRef = useRef(null);
+  const rankingTimerRef = useRef(null);
+  const layoutTotalRef = useRef(0); // Holder count the spiral was laid out for
+  const nextSlotRef = useRef(0); // Next free spiral slot for holders arriving later
   const processedDataRef = useRef(false);
   const lastTouchDistance = useRef(null);
-  const svgRef = useRef();
+  const surfaceRef = useRef(); // Holds the SVG or canvas, and takes the pointer input
   const [isPending, startTransition] = useTransition();
 
-  const gradientPresets = useMemo(
-    () => [
-      { colors: ['#e9f9ff', '#87ceeb'], name: 'Baby' },
-      { colors: ['#ffdde1', '#ffdde1'], name: 'Ping' },
-      { colors: ['#D3CCE3', '#E9E4F0'], name: 'Delicate' },
-      { colors: ['#ffffff', '#ffffff'], name: 'White' },
-    ],
-    [],
-  );
+  const gradientPresets = token.theme.gradients;
+  const characterOptions = useMemo(() => getCharacterOptions(token), [token]);
+  const accent = token.theme.accent;
 
   const [currentGradient, setCurrentGradient] = useState(gradientPresets[0]);
 
-  const debouncedSetViewBox = useCallback(
-    debounce((newViewBox) => {
-      setViewBox(newViewBox);
-    }, 16),
-    [],
-  );
+  // Maps the screen to the world for every kind of input (see app/lib/camera.js)
+  const [camera] = useState(() => createCamera(FIXED_VIEWPORT));
+  // The camera's last measurement of the surface, so a resize re-culls
+  const [cameraFrame, setCameraFrame] = useState(() => camera.frame);
+  // Every pan, zoom and flight goes through here (see app/lib/cameraController.js)
+  const [cameraController] = useState(() => createCameraController(camera, { viewBox, onChange: setViewBox }));
 
-  const viewport = FIXED_VIEWPORT;
+  // The part of the world in view; the spatial index widens it by how far characters reach.
+  // The camera is mutable, so its measurement stands in for it
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const visibleRect = useMemo(() => camera.visibleRect(viewBox), [camera, viewBox, cameraFrame]);
 
-  const isCharacterVisible = useCallback(
-    (x, y) => {
-      const screenX = FIXED_VIEWPORT.centerX + viewBox.x;
-      const screenY = FIXED_VIEWPORT.centerY + viewBox.y;
-      const scaledX = x * viewBox.scale + screenX;
-      const scaledY = y * viewBox.scale + screenY;
+  // Dots, silhouettes or full characters, by zoom
+  const detail = levelOfDetail(viewBox.scale);
 
-      const margin = isMobile ? CULLING_MARGIN.mobile : CULLING_MARGIN.desktop;
+  // Streams in the holder list and lays it out. A failed load leaves an error
+  // on screen and can be tried again.
+  const loadHolders = async () => {
+    if (processedDataRef.current) return;
+    processedDataRef.current = true;
 
-      return (
-        scaledX >= -margin &&
-        scaledX <= FIXED_VIEWPORT.width + margin &&
-        scaledY >= -margin &&
-        scaledY <= FIXED_VIEWPORT.height + margin
-      );
-    },
-    [viewBox, isMobile],
-  );
+    setLoading(true);
+    setLoadError(null);
+    try {
+      // ?snapshot=<id> in the page URL replays a stored snapshot instead of the live list
+      const snapshotId = new URLSearchParams(window.location.search).get('snapshot');
+      const params = snapshotId ? { format: 'ndjson', snapshot: snapshotId } : { format: 'ndjson' };
+      const response = await fetch(apiUrl('/api/hello', token.mint, params));
+      const total = await readHolderStream(response, (holders, offset, total, isLast) => {
+        const formattedData = holders.map(toCharacterData);
+        liveDataRef.current.push(...formattedData);
+        generateCharacterPositions(formattedData, offset, total, isLast);
+      });
 
-  useEffect(() => {
-    const fetchData = async () => {
-      if (processedDataRef.current) return;
+      layoutTotalRef.current = total;
+      refreshRankings();
+      nextSlotRef.current = total;
+      await loadHolderChanges(response.headers.get('X-Snapshot-Id'), total);
 
-      setLoading(true);
-      try {
-        const response = await fetch('/api/hello');
-        const data = await response.json();
-        const formattedData = data.holders.map((holder) => ({
-          holderID: holder.owner,
-          size: holder.normalizedSize,
-        }));
-        generateCharacterPositions(formattedData);
-      } catch (error) {
-        console.error('Error fetching holder data:', error);
+      // A past snapshot never changes, so only the live list subscribes to updates
+      if (!snapshotId) {
+        subscribeToLiveUpdates();
       }
-    };
+    } catch (error) {
+      console.error('Error fetching holder data:', error);
+      setLoadError(error.message);
+      // Start the next attempt from an empty plane
+      processedDataRef.current = false;
+      liveDataRef.current = [];
+      setWorld({ positions: [], segments: [] });
+    } finally {
+      setLoading(false);
+    }
+  };
 
-    fetchData();
+  useEffect(() => {
+    loadHolders();
 
     return () => {
       if (workerRef.current) {
         workerRef.current.terminate();
       }
+      if (timelapseWorkerRef.current) {
+        timelapseWorkerRef.current.terminate();
+      }
+      clearTimeout(rankingTimerRef.current);
+      if (liveSourceRef.current) {
+        liveSourceRef.current.close();
+      }
     };
+    // Loads once per mount; retries go through loadHolders itself
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  function convertStringToNumber(seed) {
-    if (typeof seed === 'string') {
-      seed = seed.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  useEffect(() => {
+    timelapseRef.current = timelapse;
+  }, [timelapse]);
+
+  // Badge wallets that moved since the previous snapshot. Wallets that sold out
+  // are no longer in the list, so they're added back as ghosts past the last
+  // holder, on the outskirts of the world.
+  const loadHolderChanges = async (snapshotId, total) => {
+    if (!snapshotId) return;
+
+    try {
+      const response = await fetch(apiUrl('/api/holders/diff', token.mint, { to: snapshotId }));
+      if (!response.ok) return; // e.g. this is the first snapshot
+
+      const { changes } = await response.json();
+      setHolderChanges(new Map(changes.map((change) => [change.owner, change.status])));
+
+      const ghosts = changes
+        .filter((change) => change.status === 'exited')
+        .map((change) => ({ holderID: change.owner, size: GHOST_SIZE, ghost: true }));
+      if (ghosts.length) {
+        liveDataRef.current.push(...ghosts);
+        generateCharacterPositions(ghosts, total, total, true);
+        nextSlotRef.current += ghosts.length;
+      }
+    } catch (error) {
+      console.error('Error fetching holder changes:', error);
     }
-    return seed;
-  }
-
-  function mulberry32(seed) {
-    seed = convertStringToNumber(seed);
-    return function () {
-      let t = (seed += 0x6d2b79f5);
-      t = Math.imul(t ^ (t >>> 15), t | 1);
-      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Rank the live holders by how rare their look is and by bag size. Ghosts
+  // and landmarks aren't holders, so they're left out, the same way
+  // /api/traits does.
+  const refreshRankings = () => {
+    clearTimeout(rankingTimerRef.current);
+    rankingTimerRef.current = null;
+    const holders = liveDataRef.current.filter(isDegen);
+    const report = rankRarity(holders.map((item) => rankingSpec(item.holderID, characterOptions)));
+    setRarity({ ranks: new Map(report.ranked.map((entry) => [entry.wallet, entry])), total: report.total });
+    setStandings(holderStandings(holders.map(({ holderID, share, og }) => ({ owner: holderID, share, og }))));
+  };
+
+  // Deltas can arrive every few seconds, so they share one re-rank
+  const scheduleRankings = () => {
+    if (rankingTimerRef.current === null) {
+      rankingTimerRef.current = setTimeout(refreshRankings, RANKING_DELAY);
+    }
+  };
+
+  // Merge holder deltas pushed by the server into the world as it stands:
+  // wallets already on the map are resized (or turned into ghosts) in place,
+  // newcomers take the next free spiral slots, and the camera isn't touched.
+  // Sizes are relative to the largest bag, so when that changes everyone is
+  // resized, not just the wallets in the delta.
+  const applyHolderDelta = ({ changes }) => {
+    const live = liveDataRef.current;
+    const known = new Map(live.map((item, index) => [item.holderID, index]));
+    const previousMax = largestBag(live);
+    const changed = new Set();
+    const newcomers = [];
+
+    changes.forEach(({ owner, holder }) => {
+      if (known.has(owner)) {
+        const index = known.get(owner);
+        live[index] = {
+          ...live[index],
+          amount: holder ? holder.amount : '0',
+          size: holder ? holder.normalizedSize : GHOST_SIZE,
+          share: holder ? Number(holder.percentage) : 0,
+          since: holder?.since,
+          og: holder?.og,
+          ghost: !holder,
+        };
+        changed.add(index);
+      } else if (holder) {
+        const data = toCharacterData(holder);
+        live.push(data);
+        newcomers.push(data);
+      }
+    });
+
+    const maxAmount = largestBag(live);
+    const resize = (index) => {
+      const item = live[index];
+      if (!isDegen(item)) return;
+      const size = Math.min(1, ratio(BigInt(item.amount), maxAmount));
+      if (size !== item.size) {
+        live[index] = { ...item, size };
+        changed.add(index);
+      }
     };
-  }
+    if (maxAmount !== previousMax) {
+      live.forEach((item, index) => resize(index));
+    } else {
+      changed.forEach(resize);
+    }
 
-  const generateCharacterPositions = useCallback((data) => {
-    if (processedDataRef.current) return;
-    processedDataRef.current = true;
+    setHolderChanges((prev) => {
+      const next = new Map(prev);
+      changes.forEach(({ owner, status }) => next.set(owner, status));
+      return next;
+    });
+    scheduleRankings();
 
-    if (window.Worker) {
-      if (workerRef.current) {
-        workerRef.current.terminate();
+    // While replaying, the time-lapse owns the positions; closing it picks up liveDataRef
+    if (timelapseRef.current) return;
+
+    if (changed.size) {
+      const resized = new Map(
+        Array.from(changed, (index) => [live[index].holderID, { sizeParameter: live[index].size, since: live[index].since }]),
+      );
+      // Nobody moves, so the spatial index still holds
+      setWorld((prev) => ({
+        ...prev,
+        positions: prev.positions.map((character) =>
+          resized.has(character.walletAddress)
+            ? { ...character, ...resized.get(character.walletAddress) }
+            : character,
+        ),
+      }));
+      // Whole-list layouts (treemap) place from the worker's copy of the list
+      workerRef.current?.postMessage({ type: 'update', items: Array.from(changed, (index) => live[index]) });
+    }
+    if (newcomers.length) {
+      generateCharacterPositions(newcomers, nextSlotRef.current, layoutTotalRef.current, true);
+      nextSlotRef.current += newcomers.length;
+    }
+  };
+
+  const subscribeToLiveUpdates = () => {
+    if (!window.EventSource || liveSourceRef.current) return;
+
+    // EventSource reconnects on its own if the stream drops
+    liveSourceRef.current = new EventSource(apiUrl('/api/holders/live', token.mint));
+    liveSourceRef.current.addEventListener('delta', (e) => {
+      try {
+        const delta = JSON.parse(e.data);
+        assertSchemaVersion(delta.version);
+        applyHolderDelta({
+          ...delta,
+          changes: delta.changes.map((change, index) => ({
+            ...change,
+            holder: change.holder && parseHolder(change.holder, `changes[${index}].holder`),
+          })),
+        });
+      } catch (error) {
+        console.error('Error applying holder update:', error);
       }
+    });
+  };
 
+  // Positions are appended chunk by chunk, so the first holders show up while
+  // the rest of the list is still streaming in. The worker stays up afterwards
+  // and remembers where everyone is, so live newcomers are packed around them.
+  const generateCharacterPositions = useCallback((data, offset, total, isLast) => {
+    if (!window.Worker) return;
+
+    if (!workerRef.current) {
       workerRef.current = new Worker(
         new URL('../workers/characterGenerator.js', import.meta.url),
       );
 
       workerRef.current.onmessage = (e) => {
-        const { positions, isComplete } = e.data;
-
-        if (isComplete) {
-          startTransition(() => {
-            setCharacterPositions(positions);
-            setLoading(false);
-          });
-          workerRef.current.terminate();
-          workerRef.current = null;
+        const { positions, replace, index } = e.data;
+
+        startTransition(() => {
+          // Layouts that need the whole list (treemap) resend everyone at once
+          setWorld((prev) =>
+            replace
+              ? { positions, segments: [{ offset: 0, index }] }
+              : {
+                  positions: prev.positions.concat(positions),
+                  segments: prev.segments.concat({ offset: prev.positions.length, index }),
+                },
+          );
+          setLoading(false);
+        });
+      };
+    }
+
+    workerRef.current.postMessage({ data, offset, total, isLast, layout: layoutRef.current });
+  }, []);
+
+  const loadFrame = useCallback(async (snapshotId) => {
+    const cache = frameCacheRef.current;
+    if (!cache.has(snapshotId)) {
+      const response = await fetch(apiUrl(`/api/snapshots/${encodeURIComponent(snapshotId)}`, token.mint));
+      if (!response.ok) {
+        const { error } = await response.json().catch(() => ({}));
+        throw new Error(error || `Snapshot ${snapshotId} failed to load (${response.status})`);
+      }
+      const { version, holders } = await response.json();
+      assertSchemaVersion(version);
+      cache.set(snapshotId, holders.map((holder, index) => toCharacterData(parseHolder(holder, `holders[${index}]`))));
+    }
+    return cache.get(snapshotId);
+  }, [token.mint]);
+
+  // Ask the worker to animate from whatever is on screen to `data`. The
+  // screen is assumed to be in `fromLayout`, and `data` ends up in the current one.
+  const transitionTo = useCallback((data, fromLayout = layoutRef.current) => {
+    if (!window.Worker) return;
+
+    if (!timelapseWorkerRef.current) {
+      timelapseWorkerRef.current = new Worker(
+        new URL('../workers/characterGenerator.js', import.meta.url),
+      );
+      timelapseWorkerRef.current.onmessage = (e) => {
+        if (e.data.type === 'transition') {
+          setWorld({ positions: e.data.positions, segments: [{ offset: 0, index: e.data.index }] });
         }
       };
+    }
 
-      workerRef.current.postMessage({ data });
+    timelapseWorkerRef.current.postMessage({
+      type: 'transition',
+      from: shownFrameRef.current ?? liveDataRef.current,
+      to: data,
+      duration: TIMELAPSE.transitionDuration,
+      layout: layoutRef.current,
+      fromLayout,
+    });
+    shownFrameRef.current = data;
+  }, []);
+
+  // The transition worker lays the live list out from scratch, so once it's on
+  // screen the live worker starts over from the same list, and holders arriving
+  // from then on are placed around what's shown rather than its old packing
+  const resetLiveLayout = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'reset', data: liveDataRef.current, layout: layoutRef.current });
     }
+    layoutTotalRef.current = liveDataRef.current.length;
+    nextSlotRef.current = liveDataRef.current.length;
   }, []);
 
-  const characterIndex = useMemo(() => {
-    const index = new Map();
-    characterPositions.forEach((char) => {
-      index.set(char.walletAddress, char);
-    });
-    return index;
-  }, [characterPositions]);
+  const changeLayout = useCallback(
+    (next) => {
+      const previous = layoutRef.current;
+      if (next === previous) return;
 
-  const handleSearch = useCallback(
-    (e) => {
-      e.preventDefault();
-      const character = characterIndex.get(searchInput);
+      layoutRef.current = next;
+      setLayout(next);
+      transitionTo(shownFrameRef.current ?? liveDataRef.current, previous);
+      if (!timelapseRef.current) {
+        shownFrameRef.current = null;
+      }
+      resetLiveLayout();
 
-      if (character) {
-        const startX = viewBox.x;
-        const startY = viewBox.y;
-        const startScale = viewBox.scale;
+      // Keep the layout in the URL so a shared link opens the same view
+      const url = new URL(window.location.href);
+      url.searchParams.set('layout', next);
+      window.history.replaceState(null, '', url);
+    },
+    [transitionTo, resetLiveLayout],
+  );
 
-        const targetX = -character.x - 100;
-        const targetY = -character.y - 50;
-        const targetScale = 1;
+  const changeRenderer = useCallback((next) => {
+    setRenderer(next);
+    const url = new URL(window.location.href);
+    url.searchParams.set('renderer', next);
+    window.history.replaceState(null, '', url);
+  }, []);
 
-        const duration = 1000; // Animation duration in ms
-        const startTime = performance.now();
+  const showFrame = useCallback(
+    async (snapshotId) => {
+      requestedFrameRef.current = snapshotId;
+      setIsFrameLoading(true);
+      try {
+        const data = await loadFrame(snapshotId);
+        // Scrubbing fast can leave older frames still loading; only show the last one asked for
+        if (requestedFrameRef.current === snapshotId) {
+          transitionTo(data);
+          setFrameError(null);
+        }
+      } catch (error) {
+        console.error('Error loading snapshot:', error);
+        // Playback would only skip ahead to the next frame and fail again
+        if (requestedFrameRef.current === snapshotId) {
+          setFrameError(error.message);
+          setIsPlaying(false);
+        }
+      } finally {
+        if (requestedFrameRef.current === snapshotId) {
+          setIsFrameLoading(false);
+        }
+      }
+    },
+    [loadFrame, transitionTo],
+  );
 
-        const animate = (currentTime) => {
-          const elapsed = currentTime - startTime;
-          const progress = Math.min(elapsed / duration, 1);
+  const openTimelapse = useCallback(async () => {
+    try {
+      const response = await fetch(apiUrl('/api/snapshots', token.mint, { limit: TIMELAPSE.maxFrames }));
+      const { snapshots } = await response.json();
+      if (!snapshots || snapshots.length < 2) {
+        alert('Not enough snapshots for a time-lapse yet');
+        return;
+      }
+      setTimelapse({ snapshots: snapshots.reverse(), index: 0 });
+      setIsPlaying(true);
+    } catch (error) {
+      console.error('Error fetching snapshots:', error);
+    }
+  }, [token.mint]);
+
+  const closeTimelapse = useCallback(() => {
+    setTimelapse(null);
+    setIsPlaying(false);
+    requestedFrameRef.current = null;
+    setFrameError(null);
+    transitionTo(liveDataRef.current);
+    shownFrameRef.current = null;
+    resetLiveLayout();
+  }, [transitionTo, resetLiveLayout]);
+
+  const seekTimelapse = useCallback((index) => {
+    setTimelapse((prev) => prev && { ...prev, index });
+  }, []);
 
-          // Easing function for smooth animation
-          const easeProgress = 1 - Math.pow(1 - progress, 3);
+  const togglePlayback = useCallback(() => {
+    // Start over when play is pressed on the last frame
+    if (!isPlaying && timelapse && timelapse.index === timelapse.snapshots.length - 1) {
+      seekTimelapse(0);
+    }
+    setIsPlaying(!isPlaying);
+  }, [isPlaying, timelapse, seekTimelapse]);
 
-          const newX = startX + (targetX - startX) * easeProgress;
-          const newY = startY + (targetY - startY) * easeProgress;
-          const newScale = startScale + (targetScale - startScale) * easeProgress;
+  const timelapseSnapshotId = timelapse?.snapshots[timelapse.index]?.id;
 
-          setViewBox({
-            x: newX,
-            y: newY,
-            scale: newScale,
-          });
+  useEffect(() => {
+    if (timelapseSnapshotId) {
+      showFrame(timelapseSnapshotId);
+    }
+  }, [timelapseSnapshotId, showFrame]);
 
-          if (progress < 1) {
-            requestAnimationFrame(animate);
-          }
-        };
+  useEffect(() => {
+    if (!isPlaying || !timelapse || isFrameLoading) return;
 
-        requestAnimationFrame(animate);
+    const timer = setTimeout(() => {
+      if (timelapse.index >= timelapse.snapshots.length - 1) {
+        setIsPlaying(false);
       } else {
+        seekTimelapse(timelapse.index + 1);
+      }
+    }, TIMELAPSE.frameDuration);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, timelapse, isFrameLoading, seekTimelapse]);
+
+  const characterIndex = useMemo(() => {
+    const index = new Map();
+    characterPositions.forEach((char) => {
+      index.set(char.walletAddress, char);
+    });
+    return index;
+  }, [characterPositions]);
+
+  // Flies to a wallet's character, or to `{ x, y, scale }` (scale optional)
+  // in the world. False when the wallet isn't on the plane.
+  const flyTo = useCallback(
+    (target) => {
+      if (typeof target === 'string') {
+        const character = characterIndex.get(target);
+        if (!character) return false;
+        // Centred a little right of and below the character's origin, at full size
+        cameraController.flyTo(camera.lookAt({ x: character.x + 100, y: character.y + 50 }, 1));
+        return true;
+      }
+      cameraController.flyTo(camera.lookAt(target, target.scale ?? cameraController.viewBox.scale));
+      return true;
+    },
+    [characterIndex, camera, cameraController],
+  );
+
+  // Frames every character on the plane
+  const fitAll = useCallback(() => {
+    if (!characterPositions.length) return;
+    const bounds = characterPositions.reduce(
+      (acc, { x, y }) => ({
+        left: Math.min(acc.left, x),
+        top: Math.min(acc.top, y),
+        right: Math.max(acc.right, x),
+        bottom: Math.max(acc.bottom, y),
+      }),
+      { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity },
+    );
+    // Leave room for the characters around the outermost origins
+    const margin = CHARACTER_EXTENT * characterScale(1);
+    cameraController.flyTo(
+      camera.lookAtRect({
+        left: bounds.left - margin,
+        top: bounds.top - margin,
+        right: bounds.right + margin,
+        bottom: bounds.bottom + margin,
+      }),
+    );
+  }, [characterPositions, camera, cameraController]);
+
+  useImperativeHandle(ref, () => ({ flyTo, fitAll }), [flyTo, fitAll]);
+
+  const handleSearch = useCallback(
+    (e) => {
+      e.preventDefault();
+      if (!flyTo(searchInput)) {
         alert('Character not found');
       }
     },
-    [searchInput, characterIndex, viewBox],
+    [searchInput, flyTo],
   );
 
+  // Mouse, pen and single-finger touch all pan through pointer events
   const handlePointerMove = useCallback(
     (e) => {
-      if (panStateRef.current?.isPanning) {
-        e.preventDefault();
-        const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-        const speed = isMobile ? PAN_SPEED.mobile : PAN_SPEED.desktop;
-        const dx = ((e.clientX - panStateRef.current.startX)) * speed;
-        const dy = ((e.clientY - panStateRef.current.startY)) * speed;
-
-        requestAnimationFrame(() => {
-          setViewBox((prev) => ({
-            ...prev,
-            x: panStateRef.current.startViewBoxX + dx,
-            y: panStateRef.current.startViewBoxY + dy,
-          }));
-        });
-      }
+      cameraController.drag(e.clientX, e.clientY, e.pointerId);
     },
-    [viewBox.scale],
+    [cameraController],
   );
 
   const handleWheel = useCallback(
     (e) => {
-      e.preventDefault();
       const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
       const speed = isMobile ? ZOOM_SPEED.mobile : ZOOM_SPEED.desktop;
-      const scaleFactor = 1 - Math.sign(e.deltaY) * speed;
-
-      setViewBox((prev) => {
-        const newScale = prev.scale * scaleFactor;
+      const scaleFactor = Math.exp(-Math.sign(e.deltaY) * speed);
 
-        // Calculate mouse position relative to viewport center
-        const mouseX = e.clientX - viewport.centerX;
-        const mouseY = e.clientY - viewport.centerY;
-
-        // Calculate the point we want to zoom towards in world space
-        const worldX = (mouseX - prev.x) / prev.scale;
-        const worldY = (mouseY - prev.y) / prev.scale;
-
-        // Calculate new position that keeps the point under mouse
-        return {
-          scale: newScale,
-          x: prev.x - worldX * (scaleFactor - 1) * prev.scale,
-          y: prev.y - worldY * (scaleFactor - 1) * prev.scale,
-        };
-      });
+      // Zoom towards the point under the mouse
+      camera.measure(surfaceRef.current);
+      cameraController.zoomAt(e.clientX, e.clientY, scaleFactor);
     },
-    [viewport.centerX, viewport.centerY],
+    [camera, cameraController],
   );
 
   const handleMouseDown = useCallback(
     (e) => {
       if (e.button === 0) {
-        panStateRef.current = {
-          isPanning: true,
-          startX: e.clientX,
-          startY: e.clientY,
-          startViewBoxX: viewBox.x,
-          startViewBoxY: viewBox.y,
-        };
+        camera.measure(surfaceRef.current);
+        cameraController.grab(e.clientX, e.clientY, e.pointerId);
       }
     },
-    [viewBox.x, viewBox.y],
+    [camera, cameraController],
   );
 
-  const handleMouseUp = useCallback(() => {
-    if (panStateRef.current) {
-      panStateRef.current.isPanning = false;
-    }
-  }, []);
+  const handleMouseUp = useCallback(
+    (e) => {
+      cameraController.release(e.pointerId);
+    },
+    [cameraController],
+  );
 
+  // Two fingers pinch to zoom
   const handleTouchStart = useCallback(
     (e) => {
       if (e.touches.length === 2) {
+        camera.measure(surfaceRef.current);
         // Store initial distance for pinch zoom
         const dx = e.touches[0].clientX - e.touches[1].clientX;
         const dy = e.touches[0].clientY - e.touches[1].clientY;
         lastTouchDistance.current = Math.sqrt(dx * dx + dy * dy);
-      } else if (e.touches.length === 1) {
-        // Single touch for panning
-        handleMouseDown({
-          button: 0,
-          clientX: e.touches[0].clientX,
-          clientY: e.touches[0].clientY,
-        });
       }
     },
-    [handleMouseDown],
+    [camera],
   );
 
   const handleTouchMove = useCallback(
@@ -460,49 +836,55 @@ const CharacterPlane = () => {
         if (lastTouchDistance.current) {
           // Calculate zoom factor based on pinch distance change
           const scale = distance / lastTouchDistance.current;
-          // Use ZOOM_SPEED.mobile to control zoom sensitivity
-          const zoomChange = (scale - 1) * ZOOM_SPEED.mobile;
-          const scaleFactor = 1 + zoomChange;
+          const scaleFactor = Math.pow(scale, ZOOM_SPEED.pinch);
 
           // Calculate center point of the pinch
           const centerX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
           const centerY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
 
-          setViewBox((prev) => {
-            const newScale = prev.scale * scaleFactor;
-
-            // Calculate the point we want to zoom towards in world space
-            const mouseX = centerX - viewport.centerX;
-            const mouseY = centerY - viewport.centerY;
-            const worldX = (mouseX - prev.x) / prev.scale;
-            const worldY = (mouseY - prev.y) / prev.scale;
-
-            // Calculate new position that keeps the point under the pinch center
-            return {
-              scale: newScale,
-              x: prev.x - worldX * (scaleFactor - 1) * prev.scale,
-              y: prev.y - worldY * (scaleFactor - 1) * prev.scale,
-            };
-          });
+          // Keep the point under the pinch center where it is
+          cameraController.zoomAt(centerX, centerY, scaleFactor);
         }
 
         lastTouchDistance.current = distance;
-      } else if (e.touches.length === 1) {
-        // Single touch for panning
-        handlePointerMove({
-          clientX: e.touches[0].clientX,
-          clientY: e.touches[0].clientY,
-          preventDefault: () => e.preventDefault(),
-        });
       }
     },
-    [handlePointerMove, viewport.centerX, viewport.centerY],
+    [cameraController],
   );
 
   const handleTouchEnd = useCallback(() => {
     lastTouchDistance.current = null;
-    handleMouseUp();
-  }, [handleMouseUp]);
+  }, []);
+
+  // Arrow keys pan and +/- zoom, unless the user is typing
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+
+      const step = camera.frame.width * KEYBOARD.panStep;
+      const moves = {
+        ArrowLeft: [-step, 0],
+        ArrowRight: [step, 0],
+        ArrowUp: [0, -step],
+        ArrowDown: [0, step],
+        '+': [0, 0, KEYBOARD.zoomFactor],
+        '=': [0, 0, KEYBOARD.zoomFactor],
+        '-': [0, 0, 1 / KEYBOARD.zoomFactor],
+        _: [0, 0, 1 / KEYBOARD.zoomFactor],
+      };
+      const move = moves[e.key];
+      if (!move) return;
+      e.preventDefault();
+      cameraController.nudge(...move);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [camera, cameraController]);
+
+  useEffect(() => () => cameraController.destroy(), [cameraController]);
 
   const SVGDefinitions = useMemo(() => {
     const definitions = [];
@@ -518,186 +900,361 @@ const CharacterPlane = () => {
       </g>,
     );
 
+    // Parts are defined by their index in the token's trait catalog, the way
+    // getCharacterSpec picks them
+    const catalog = getTraitCatalog(characterOptions.traitPacks);
+
     // Add body definitions
-    SVGComponents.bodies.forEach((BodyComponent, index) => {
+    catalog.bodies.forEach(({ id }, index) => {
       definitions.push(
         <g key={`body-${index}`} id={`body-${index}`}>
-          {React.cloneElement(renderSVG(BodyComponent), { fill: 'currentColor' })}
+          {React.cloneElement(renderSVG(SVGComponents.parts[id]), { fill: 'currentColor' })}
         </g>,
       );
     });
 
-    // Add head definitions for each mood - preserve original colors
-    ['happy', 'sad'].forEach((mood) => {
-      SVGComponents.heads[mood].forEach((HeadComponent, index) => {
+    // Add head definitions for each set - preserve original colors
+    Object.entries(catalog.heads).forEach(([headSet, heads]) => {
+      heads.forEach(({ id }, index) => {
         definitions.push(
-          <g key={`head-${mood}-${index}`} id={`head-${mood}-${index}`}>
-            {renderSVG(HeadComponent)}
+          <g key={`head-${headSet}-${index}`} id={`head-${headSet}-${index}`}>
+            {renderSVG(SVGComponents.parts[id])}
           </g>,
         );
       });
     });
 
+    // Add accessory definitions, coloured like the body
+    catalog.accessories.forEach(({ id }) => {
+      definitions.push(
+        <g key={accessoryDefinitionId(id)} id={accessoryDefinitionId(id)}>
+          {renderSVG(SVGComponents.parts[id])}
+        </g>,
+      );
+    });
+
     return <defs>{definitions}</defs>;
-  }, []);
+  }, [characterOptions]);
+
 
-  const maxLineLength = 15; // Adjust based on your speech bubble size
+  // Change badges describe the latest snapshot, so they're hidden while replaying older ones
+  const activeChanges = timelapse ? NO_CHANGES : holderChanges;
 
   const drawCharacter = useCallback(
-    (character) => {
-      const { x, y, sizeParameter, paramSeed, walletAddress } = character;
-      const rand = mulberry32(paramSeed * 37);
-      const mood = rand() < 0.6 ? 'happy' : 'sad';
-
-      // Adjust size scaling to use normalized values directly
-      const normalizedSize = 0.8 + Math.pow(sizeParameter, 2) * 1.2; // Range of 0.8x to 2.0x
-
-      // Select speech text based on mood
-      const speechText =
-        mood === 'happy'
-          ? speechOptions[Math.floor(rand() * speechOptions.length)]
-          : sadSpeechOptions[Math.floor(rand() * sadSpeechOptions.length)];
-
-      const bodyIndex = Math.floor(rand() * SVGComponents.bodies.length);
-      const headIndex = Math.floor(rand() * SVGComponents.heads[mood].length);
-
-      const bodyColor = mood === 'happy'
-        ? randomColor({ luminosity: 'bright', seed: paramSeed + '1' }) // Add '1' to create a different but consistent seed
-        : randomColor({
-          luminosity: 'light',
-          seed: paramSeed + '1',
-        });
+    (character, detail) => {
+      const { x, y, sizeParameter, walletAddress, landmark, since, cell, appear = 1 } = character;
+      // Treemap cells outline each holder's share of the supply
+      const cellOutline = cell && (
+        <rect
+          x={cell.left}
+          y={cell.top}
+          width={cell.width}
+          height={cell.height}
+          fill="none"
+          stroke="rgba(0, 0, 0, 0.25)"
+          strokeWidth={Math.max(2, Math.min(cell.width, cell.height) * 0.01)}
+        />
+      );
 
-      // Base sizes for character
-      const baseSize = 400; // SVG's natural size
+      if (landmark) {
+        return (
+          <g key={walletAddress}>
+            {cellOutline}
+            <Landmark
+              x={x}
+              y={y}
+              label={landmark.label}
+              category={landmark.category}
+              walletAddress={walletAddress}
+              appear={appear}
+            />
+          </g>
+        );
+      }
 
-      // Split speech text into lines that fit the speech bubble
-      const words = speechText.split(' ');
-      const lines = [];
-      let currentLine = '';
-
-      words.forEach((word) => {
-        const testLine = currentLine ? `${currentLine} ${word}` : word;
-        if (testLine.length > maxLineLength) {
-          lines.push(currentLine);
-          currentLine = word;
-        } else {
-          currentLine = testLine;
-        }
-      });
-      if (currentLine) {
-        lines.push(currentLine);
+      const change = activeChanges.get(walletAddress);
+      const isGhost = change === 'exited';
+      const ghostStyle = isGhost ? { filter: 'grayscale(1)' } : undefined;
+
+      // Zoomed far out, only the body colour is needed
+      if (detail === 'dot') {
+        const dotScale = (character.scale ?? characterScale(sizeParameter)) * appear;
+        return (
+          <g key={walletAddress} opacity={(isGhost ? 0.35 : 1) * appear} style={ghostStyle}>
+            {cellOutline}
+            <circle
+              cx={x + DOT.x * dotScale}
+              cy={y + DOT.y * dotScale}
+              r={DOT.radius * dotScale}
+              fill={getBodyColor(walletAddress, characterOptions)}
+            />
+          </g>
+        );
       }
 
+      const { headSet, bodyIndex, headIndex, bodyColor, accessories, speechLines: lines, scale } = getCharacterSpec(
+        walletAddress,
+        sizeParameter,
+        { ...characterOptions, behaviour: { change, since }, standing: standings.get(walletAddress) },
+      );
+
+      // 0.8x for the smallest bags up to 2.0x for the largest degen, unless
+      // the layout sized the character itself
+      const normalizedSize = character.scale ?? scale;
+
+      // Base sizes for character
+      const baseSize = 400; // SVG's natural size
+
       // Calculate scaling factor for speech bubble height based on line count
       const lineCount = lines.length;
       const bubbleScaleY = 1 + (lineCount - 1) * 0.5; // Adjust the multiplier as needed
       const bubbleYOffset = (lineCount - 1) * 30; // Adjust vertical offset as needed
 
+      const rank = rarity.ranks.get(walletAddress);
+      const rarityEntry = rank && !isGhost && isRare(rank.rank, rarity.total) ? rank : null;
+
       return (
-        <g key={walletAddress}>
+        <g
+          key={walletAddress}
+          opacity={(isGhost ? 0.35 : 1) * appear}
+          style={ghostStyle}
+        >
+          {cellOutline}
           {/* Character group - separate from bounding box */}
-          <g transform={`translate(${x}, ${y}) scale(${normalizedSize})`}>
-            {/* Body - centered at origin */}
-            <CharacterBody
-              bodyIndex={bodyIndex}
-              baseSize={baseSize}
-              bodyColor={bodyColor}
-            />
-
-            {/* Head - positioned relative to body */}
-            <CharacterHead
-              mood={mood}
-              headIndex={headIndex}
-              baseSize={baseSize}
-            />
-
-            {/* Speech bubble with scaled height and centered text */}
-            <g
-              transform={`
-                translate(${-baseSize * 0.8}, ${-(baseSize + bubbleYOffset)
-                })
-                scale(0.6, ${0.6 * bubbleScaleY})
-              `}
-            >
-              <use href="#speech-bubble" />
-            </g>
-
-            {/* Text group with centered positioning */}
-            <g transform={`translate(${baseSize * 1.5}, ${-baseSize * 0.85})`}>
-              <text
-                y="0"
-                textAnchor="middle"
-                dominantBaseline="middle"
-                fontSize="54px"
-                fill="black"
-                className={permanentMarker.className}
-                style={{
-                  letterSpacing: '1px',
-                }}
-              >
-                {lines.map((line, index) => (
-                  <tspan key={index} x="0" dy={`${index === 0 ? '0' : '1.2em'}`}>
-                    {line}
-                  </tspan>
-                ))}
-              </text>
-            </g>
-
-            {/* Optional: Wallet address */}
-            {walletAddress && (
-              <text
-                x={baseSize * 0.55}
-                y={baseSize * 1.65}
-                textAnchor="middle"
-                style={{
-                  fontSize: `${18 / normalizedSize}px`,
-                  fill: '#666',
-                  fontFamily: 'monospace',
-                }}
-              >
-                {`${walletAddress.slice(0, 4)}...${walletAddress.slice(-4)}`}
-              </text>
+          <g transform={`translate(${x}, ${y}) scale(${normalizedSize * appear})`}>
+            {/* Body (centered at origin), head and accessories, lowest layer first */}
+            {[
+              {
+                layer: BODY_LAYER,
+                element: <CharacterBody key="body" bodyIndex={bodyIndex} baseSize={baseSize} bodyColor={bodyColor} />,
+              },
+              {
+                layer: HEAD_LAYER,
+                element: <CharacterHead key="head" headSet={headSet} headIndex={headIndex} baseSize={baseSize} />,
+              },
+              ...accessories.map(({ id, layer, part, offset }) => ({
+                layer,
+                element: (
+                  <CharacterAccessory
+                    key={id}
+                    id={id}
+                    part={part}
+                    offset={offset}
+                    baseSize={baseSize}
+                    bodyColor={bodyColor}
+                  />
+                ),
+              })),
+            ]
+              .sort((a, b) => a.layer - b.layer)
+              .map(({ element }) => element)}
+
+            {/* Silhouettes leave out the bubble and labels */}
+            {detail === 'full' && (
+              <>
+                {/* Speech bubble with scaled height and centered text */}
+                <g
+                  transform={`
+                    translate(${-baseSize * 0.8}, ${-(baseSize + bubbleYOffset)
+                    })
+                    scale(0.6, ${0.6 * bubbleScaleY})
+                  `}
+                >
+                  <use href="#speech-bubble" />
+                </g>
+
+                {/* Text group with centered positioning */}
+                <g transform={`translate(${baseSize * 1.5}, ${-baseSize * 0.85})`}>
+                  <text
+                    y="0"
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    fontSize="54px"
+                    fill="black"
+                    className={permanentMarker.className}
+                    style={{
+                      letterSpacing: '1px',
+                    }}
+                  >
+                    {lines.map((line, index) => (
+                      <tspan key={index} x="0" dy={`${index === 0 ? '0' : '1.2em'}`}>
+                        {line}
+                      </tspan>
+                    ))}
+                  </text>
+                </g>
+
+                {/* Change since the previous snapshot */}
+                {change && (
+                  <text
+                    x={-baseSize * 1.3}
+                    y={-baseSize * 0.6}
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    fontSize="120px"
+                  >
+                    {CHANGE_BADGES[change]}
+                  </text>
+                )}
+
+                {/* Among the rarest looks of the holder base */}
+                {rarityEntry && (
+                  <text
+                    x={baseSize * 0.55}
+                    y={baseSize * 2}
+                    textAnchor="middle"
+                    fontSize="80px"
+                    fill={accent}
+                    className={permanentMarker.className}
+                  >
+                    {`💎 #${rarityEntry.rank}`}
+                  </text>
+                )}
+
+                {/* Optional: Wallet address */}
+                {walletAddress && (
+                  <text
+                    x={baseSize * 0.55}
+                    y={baseSize * 1.65}
+                    textAnchor="middle"
+                    style={{
+                      fontSize: `${18 / normalizedSize}px`,
+                      fill: '#666',
+                      fontFamily: 'monospace',
+                    }}
+                  >
+                    {`${walletAddress.slice(0, 4)}...${walletAddress.slice(-4)}`}
+                  </text>
+                )}
+              </>
             )}
           </g>
         </g>
       );
     },
-    [maxLineLength],
+    [activeChanges, characterOptions, rarity, standings, accent],
   );
 
   useEffect(() => {
-    const svgElement = svgRef.current;
-    if (!svgElement) return;
+    const surface = surfaceRef.current;
+    if (!surface) return;
 
     const handleWheelWithOptions = (e) => {
       e.preventDefault();
       handleWheel(e);
     };
 
-    svgElement.addEventListener('wheel', handleWheelWithOptions, { passive: false });
+    surface.addEventListener('wheel', handleWheelWithOptions, { passive: false });
 
     return () => {
-      svgElement.removeEventListener('wheel', handleWheelWithOptions);
+      surface.removeEventListener('wheel', handleWheelWithOptions);
     };
   }, [handleWheel]);
 
+  // Measure the surface again whenever it resizes, the device pixel ratio
+  // changes or the renderer swaps what's inside it
+  useEffect(() => {
+    const surface = surfaceRef.current;
+    if (!surface) return;
+
+    const remeasure = () => setCameraFrame(camera.measure(surface));
+    remeasure();
+    const observer = window.ResizeObserver ? new ResizeObserver(remeasure) : null;
+    observer?.observe(surface);
+    const stopWatching = watchResolution(remeasure);
+
+    return () => {
+      observer?.disconnect();
+      stopWatching();
+    };
+  }, [camera, renderer]);
+
+  const isSvg = renderer === 'svg';
+
+  const isShown = useCallback(
+    (char) => !rarestOnly || isRare(rarity.ranks.get(char.walletAddress)?.rank ?? Infinity, rarity.total),
+    [rarestOnly, rarity],
+  );
+
   // Ensure visibleCharacters is declared before it's used
   const visibleCharacters = useMemo(() => {
-    return characterPositions.filter((char) => isCharacterVisible(char.x, char.y));
-  }, [characterPositions, isCharacterVisible]);
+    if (!isSvg) return [];
+    return querySpatialIndex(world.segments, visibleRect)
+      .map((position) => world.positions[position])
+      .filter(isShown);
+  }, [isSvg, world, visibleRect, isShown]);
 
   // Remove react-window virtualization
   // Memoize character rendering to prevent unnecessary re-renders
   const characterElements = useMemo(() => {
-    return visibleCharacters.map((character) => drawCharacter(character));
-  }, [visibleCharacters, drawCharacter]);
+    return visibleCharacters.map((character) => drawCharacter(character, detail));
+  }, [visibleCharacters, drawCharacter, detail]);
+
+  // The canvas renderers cull for themselves, so they get everyone in a
+  // region a few views across, and panning only rebuilds their scene when the
+  // view leaves it
+  const region = sceneRegion(visibleRect);
+  const sceneCharacters = useMemo(() => {
+    if (isSvg) return [];
+    return querySpatialIndex(world.segments, region)
+      .map((position) => world.positions[position])
+      .filter(isShown);
+    // A new region object comes every render, so only its bounds count
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isSvg, world, region.left, region.top, region.right, region.bottom, isShown]);
+
+  const traitCatalog = useMemo(() => getTraitCatalog(characterOptions.traitPacks), [characterOptions]);
+  const characterDescriptions = useMemo(() => {
+    if (isSvg) return [];
+    const markerFont = permanentMarker.style.fontFamily;
+    return sceneCharacters.map((character) => {
+      const { sizeParameter, walletAddress, landmark, since } = character;
+      if (landmark) return describeLandmark(character, { markerFont });
+
+      const change = activeChanges.get(walletAddress);
+      const isGhost = change === 'exited';
+      if (detail === 'dot') {
+        return describeDot(character, { bodyColor: getBodyColor(walletAddress, characterOptions), isGhost });
+      }
+      const spec = getCharacterSpec(walletAddress, sizeParameter, {
+        ...characterOptions,
+        behaviour: { change, since },
+        standing: standings.get(walletAddress),
+      });
+      const rank = rarity.ranks.get(walletAddress);
+      return describeCharacter(character, {
+        spec,
+        badge: change && CHANGE_BADGES[change],
+        isGhost,
+        rarityRank: rank && !isGhost && isRare(rank.rank, rarity.total) ? rank.rank : null,
+        accent,
+        markerFont,
+        detail,
+      });
+    });
+  }, [isSvg, sceneCharacters, detail, rarity, activeChanges, characterOptions, standings, accent]);
 
   return (
     <div className="relative w-full h-screen select-none">
+      {loadError && !loading && (
+        <div className="absolute z-20 top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 p-4 max-w-sm flex flex-col items-center gap-3 bg-black/40 rounded-xl backdrop-blur-sm text-white text-center">
+          <p>Couldn&apos;t load the holders: {loadError}</p>
+          <button
+            onClick={loadHolders}
+            className="px-4 py-2 rounded-lg text-white hover:scale-105 active:scale-95 transition-transform"
+            style={{ background: accent }}
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
       {loading && (
         <div className="absolute z-20 top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2">
-          <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-[#FF0091]"></div>
+          <div
+            className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2"
+            style={{ borderColor: accent }}
+          ></div>
         </div>
       )}
 
@@ -734,13 +1291,79 @@ const CharacterPlane = () => {
         >
           Search
         </button>
+        <button
+          type="button"
+          onClick={timelapse ? closeTimelapse : openTimelapse}
+          className="px-4 py-2 ml-2 text-white rounded-lg hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          style={{ background: accent }}
+          title="Replay how the holder base changed across snapshots"
+        >
+          {timelapse ? 'Live' : 'Time-lapse'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setRarestOnly(!rarestOnly)}
+          className="px-4 py-2 ml-2 rounded-lg hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          style={rarestOnly ? { background: accent, color: 'white' } : { background: 'white', color: accent }}
+          aria-pressed={rarestOnly}
+          title="Only show the degens with the rarest looks"
+        >
+          💎 Rarest
+        </button>
+        <button
+          type="button"
+          onClick={fitAll}
+          className="px-4 py-2 ml-2 bg-white rounded-lg hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          style={{ color: accent }}
+          title="Zoom out to see every holder"
+        >
+          Fit all
+        </button>
+        <select
+          value={renderer}
+          onChange={(e) => changeRenderer(e.target.value)}
+          className="px-4 py-2 ml-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          aria-label="Renderer"
+          title={RENDERERS.find((option) => option.id === renderer)?.description}
+        >
+          {RENDERERS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={layout}
+          onChange={(e) => changeLayout(e.target.value)}
+          className="px-4 py-2 ml-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          aria-label="Layout"
+          title={LAYOUTS.find((option) => option.id === layout)?.description}
+        >
+          {LAYOUTS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
       </form>
 
-      <svg
-        ref={svgRef}
+      {timelapse && (
+        <Timeline
+          snapshots={timelapse.snapshots}
+          index={timelapse.index}
+          isPlaying={isPlaying}
+          isLoading={isFrameLoading}
+          error={frameError}
+          accent={accent}
+          onSeek={seekTimelapse}
+          onTogglePlay={togglePlayback}
+          onClose={closeTimelapse}
+        />
+      )}
+
+      <div
+        ref={surfaceRef}
         className="w-full h-full"
-        viewBox={`0 0 ${FIXED_VIEWPORT.width} ${FIXED_VIEWPORT.height}`}
-        preserveAspectRatio="xMidYMid meet"
         onPointerDown={handleMouseDown}
         onPointerMove={handlePointerMove}
         onPointerUp={handleMouseUp}
@@ -753,45 +1376,85 @@ const CharacterPlane = () => {
           background: `linear-gradient(${currentGradient.colors[0]}, ${currentGradient.colors[1]})`,
         }}
       >
-        {SVGDefinitions}
-        <g
-          transform={`translate(${FIXED_VIEWPORT.centerX + viewBox.x}, ${FIXED_VIEWPORT.centerY + viewBox.y
-            }) scale(${viewBox.scale})`}
-        >
-          {/* Render characters directly */}
-          {characterElements}
-        </g>
-      </svg>
+        {isSvg ? (
+          <svg
+            className="w-full h-full block"
+            viewBox={`0 0 ${FIXED_VIEWPORT.width} ${FIXED_VIEWPORT.height}`}
+            preserveAspectRatio="xMidYMid meet"
+          >
+            {SVGDefinitions}
+            <g
+              transform={`translate(${FIXED_VIEWPORT.centerX + viewBox.x}, ${FIXED_VIEWPORT.centerY + viewBox.y
+                }) scale(${viewBox.scale})`}
+            >
+              {/* Render characters directly */}
+              {characterElements}
+            </g>
+          </svg>
+        ) : (
+          <CharacterCanvas
+            className="w-full h-full block"
+            descriptions={characterDescriptions}
+            viewBox={viewBox}
+            viewport={FIXED_VIEWPORT}
+            catalog={traitCatalog}
+          />
+        )}
+      </div>
 
-      <div className="fixed bottom-0 left-0 right-0 bg-[#FF0091] h-16 flex justify-between items-center px-8 z-20">
-        <h1 className="text-white text-2xl font-bold">WORLD OF DEGENS</h1>
+      <div
+        className="fixed bottom-0 left-0 right-0 h-16 flex justify-between items-center px-8 z-20"
+        style={{ background: accent }}
+      >
+        <h1 className="text-white text-2xl font-bold">{token.name.toUpperCase()}</h1>
         <div className="flex flex-col gap-2">
-          <a
-            href="https://x.com/world_of_degen"
-            target="_blank"
-            rel="noopener noreferrer"
-            className="text-white hover:text-gray-200"
-          >
-            <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-              <path d="M23.953 4.57a10 10 0 01-2.825.775 4.958 4.958 0 002.163-2.723c-.951.555-2.005.959-3.127 1.184a4.92 4.92 0 00-8.384 4.482C7.69 8.095 4.067 6.13 1.64 3.162a4.822 4.822 0 00-.666 2.475c0 1.71.87 3.213 2.188 4.096a4.904 4.904 0 01-2.228-.616v.06a4.923 4.923 0 003.946 4.827 4.996 4.996 0 01-2.212.085 4.936 4.936 0 004.604 3.417 9.867 9.867 0 01-6.102 2.105c-.39 0-.779-.023-1.17-.067a13.995 13.995 0 007.557 2.209c9.053 0 13.998-7.496 13.998-13.985 0-.21 0-.42-.015-.63A9.935 9.935 0 0024 4.59z" />
-            </svg>
-          </a>
-          <a
-            href={`https://pump.fun/coin/${process.env.NEXT_PUBLIC_PROGRAM_ID}`}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="text-white hover:text-gray-200"
-          >
-            <img
-              src="https://pump.fun/_next/image?url=%2Flogo.png&w=32&q=75"
-              alt="Pump.fun"
-              className="w-6 h-6"
-            />
-          </a>
+          {token.socials.x && (
+            <a
+              href={token.socials.x}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-white hover:text-gray-200"
+            >
+              <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M23.953 4.57a10 10 0 01-2.825.775 4.958 4.958 0 002.163-2.723c-.951.555-2.005.959-3.127 1.184a4.92 4.92 0 00-8.384 4.482C7.69 8.095 4.067 6.13 1.64 3.162a4.822 4.822 0 00-.666 2.475c0 1.71.87 3.213 2.188 4.096a4.904 4.904 0 01-2.228-.616v.06a4.923 4.923 0 003.946 4.827 4.996 4.996 0 01-2.212.085 4.936 4.936 0 004.604 3.417 9.867 9.867 0 01-6.102 2.105c-.39 0-.779-.023-1.17-.067a13.995 13.995 0 007.557 2.209c9.053 0 13.998-7.496 13.998-13.985 0-.21 0-.42-.015-.63A9.935 9.935 0 0024 4.59z" />
+              </svg>
+            </a>
+          )}
+          {token.socials.pumpfun && (
+            <a
+              href={token.socials.pumpfun}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-white hover:text-gray-200"
+            >
+              {/* A 24px remote logo isn't worth configuring next/image for */}
+              {/* eslint-disable-next-line @next/next/no-img-element */}
+              <img
+                src="https://pump.fun/_next/image?url=%2Flogo.png&w=32&q=75"
+                alt="Pump.fun"
+                className="w-6 h-6"
+              />
+            </a>
+          )}
+          {['telegram', 'website'].map((social) =>
+            token.socials[social] ? (
+              <a
+                key={social}
+                href={token.socials[social]}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-white hover:text-gray-200 leading-6"
+                aria-label={social}
+              >
+                {social === 'telegram' ? '✈️' : '🌐'}
+              </a>
+            ) : null,
+          )}
         </div>
       </div>
     </div>
   );
-};
+});
+CharacterPlane.displayName = 'CharacterPlane';
 
 export default memo(CharacterPlane);
\ No newline at end of file
@@ -0,0 +1,64 @@
+import React, { memo } from 'react';
+
+const formatTakenAt = (takenAt) =>
+  new Date(takenAt).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * Scrubber over the stored snapshots, oldest on the left. Purely presentational:
+ * CharacterPlane owns the playback state and loads the frames.
+ */
+const Timeline = ({ snapshots, index, isPlaying, isLoading, error, accent, onSeek, onTogglePlay, onClose }) => {
+  const current = snapshots[index];
+
+  return (
+    <div className="fixed z-30 bottom-20 left-1/2 -translate-x-1/2 w-[min(90vw,720px)] p-3 flex items-center gap-3 bg-black/40 rounded-xl backdrop-blur-sm text-white">
+      <button
+        onClick={onTogglePlay}
+        className="w-10 h-10 shrink-0 rounded-full hover:scale-110 active:scale-95 transition-transform"
+        style={{ background: accent }}
+        aria-label={isPlaying ? 'Pause time-lapse' : 'Play time-lapse'}
+      >
+        {isPlaying ? '❚❚' : '▶'}
+      </button>
+
+      <input
+        type="range"
+        min={0}
+        max={snapshots.length - 1}
+        value={index}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        className="flex-1"
+        style={{ accentColor: accent }}
+        aria-label="Snapshot"
+      />
+
+      <div className="w-36 shrink-0 text-sm text-right tabular-nums">
+        {current && formatTakenAt(current.takenAt)}
+        {error && !isLoading ? (
+          <div className="text-xs text-red-300 truncate" title={error}>
+            couldn&apos;t load
+          </div>
+        ) : (
+          <div className="text-xs text-white/70">
+            {isLoading ? 'loading…' : current && `${current.holderCount} holders`}
+          </div>
+        )}
+      </div>
+
+      <button
+        onClick={onClose}
+        className="w-8 h-8 shrink-0 rounded-full hover:bg-white/20"
+        aria-label="Close time-lapse"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default memo(Timeline);
@@ -0,0 +1,15 @@
+'use client';
+import dynamic from 'next/dynamic'
+
+const CharacterPlane = dynamic(() => import('./CharacterPlane'), {
+  ssr: false,
+});
+
+// One token's world. Keyed by mint so switching worlds starts from a clean plane.
+export default function World({ token }) {
+  return (
+    <main style={{ margin: 0, padding: 0, overflow: 'hidden' }}>
+      <CharacterPlane key={token.mint} token={token} />
+    </main>
+  );
+}
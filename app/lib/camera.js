@@ -0,0 +1,141 @@
+/**
+ * Maps between the screen and the plane's world.
+ *
+ * Both renderers draw a fixed viewport (1920×1080 units, see the plane) fitted
+ * into their surface the way `preserveAspectRatio="xMidYMid meet"` fits it,
+ * and the `viewBox` pans and zooms the world inside it: a world point lands at
+ * `viewport centre + (viewBox.x, viewBox.y) + viewBox.scale × point`, in
+ * viewport units. Where those units land on screen depends on the size and
+ * position of the surface, so the camera measures it rather than assuming the
+ * viewport fills the window: through the SVG's screen CTM when the surface
+ * shows one, from its bounding box otherwise.
+ *
+ * Mouse, wheel and touch input and programmatic moves all go through it, in
+ * client (CSS pixel) coordinates, so the point under the cursor stays put
+ * whatever the screen size. Device pixels only matter to the canvas
+ * renderers' backing store; see `watchResolution`.
+ */
+
+// Where `meet` puts `viewport` in a `width` × `height` box: its top left
+// corner, and CSS pixels per viewport unit
+export function fitViewport(viewport, width, height) {
+  const scale = Math.min(width / viewport.width, height / viewport.height);
+  return {
+    x: (width - viewport.width * scale) / 2,
+    y: (height - viewport.height * scale) / 2,
+    scale,
+  };
+}
+
+export function createCamera(viewport) {
+  // The surface's client box, and the viewport within it
+  let frame = { left: 0, top: 0, width: viewport.width, height: viewport.height, x: 0, y: 0, scale: 1 };
+
+  const toViewport = (clientX, clientY) => ({
+    x: (clientX - frame.left - frame.x) / frame.scale,
+    y: (clientY - frame.top - frame.y) / frame.scale,
+  });
+
+  const toWorld = (viewBox, clientX, clientY) => {
+    const point = toViewport(clientX, clientY);
+    return {
+      x: (point.x - viewport.centerX - viewBox.x) / viewBox.scale,
+      y: (point.y - viewport.centerY - viewBox.y) / viewBox.scale,
+    };
+  };
+
+  const lookAt = ({ x, y }, scale) => {
+    const centre = toViewport(frame.left + frame.width / 2, frame.top + frame.height / 2);
+    return {
+      x: centre.x - viewport.centerX - x * scale,
+      y: centre.y - viewport.centerY - y * scale,
+      scale,
+    };
+  };
+
+  return {
+    get frame() {
+      return frame;
+    },
+
+    // Measures `surface` again; call when it may have moved or resized
+    measure(surface) {
+      const rect = surface.getBoundingClientRect();
+      const ctm = surface.querySelector(':scope > svg')?.getScreenCTM();
+      const fit = ctm
+        ? { x: ctm.e - rect.left, y: ctm.f - rect.top, scale: ctm.a }
+        : fitViewport(viewport, rect.width, rect.height);
+      // A surface that isn't laid out yet keeps the last measurement
+      if (fit.scale > 0) {
+        frame = { left: rect.left, top: rect.top, width: rect.width, height: rect.height, ...fit };
+      }
+      return frame;
+    },
+
+    toWorld,
+
+    toClient(viewBox, { x, y }) {
+      return {
+        x: frame.left + frame.x + (viewport.centerX + viewBox.x + x * viewBox.scale) * frame.scale,
+        y: frame.top + frame.y + (viewport.centerY + viewBox.y + y * viewBox.scale) * frame.scale,
+      };
+    },
+
+    // The world area the surface shows, including any space beside the viewport
+    visibleRect(viewBox) {
+      const topLeft = toWorld(viewBox, frame.left, frame.top);
+      const bottomRight = toWorld(viewBox, frame.left + frame.width, frame.top + frame.height);
+      return { left: topLeft.x, top: topLeft.y, right: bottomRight.x, bottom: bottomRight.y };
+    },
+
+    // `viewBox` moved by a drag of `dx`, `dy` CSS pixels
+    panBy(viewBox, dx, dy) {
+      return { ...viewBox, x: viewBox.x + dx / frame.scale, y: viewBox.y + dy / frame.scale };
+    },
+
+    // `viewBox` zoomed by `factor`, keeping the world point under the client point where it is
+    zoomAt(viewBox, clientX, clientY, factor) {
+      const anchor = toWorld(viewBox, clientX, clientY);
+      const point = toViewport(clientX, clientY);
+      const scale = viewBox.scale * factor;
+      return {
+        x: point.x - viewport.centerX - anchor.x * scale,
+        y: point.y - viewport.centerY - anchor.y * scale,
+        scale,
+      };
+    },
+
+    // The `viewBox` showing the world point `{ x, y }` in the middle of the surface at `scale`
+    lookAt,
+
+    // The `viewBox` showing all of a world area, as large as the surface allows
+    lookAtRect({ left, top, right, bottom }) {
+      const scale = Math.min(
+        frame.width / (frame.scale * Math.max(right - left, 1)),
+        frame.height / (frame.scale * Math.max(bottom - top, 1)),
+      );
+      return lookAt({ x: (left + right) / 2, y: (top + bottom) / 2 }, scale);
+    },
+  };
+}
+
+/**
+ * Calls `onChange` with the new device pixel ratio whenever it changes, as
+ * when the window moves to another screen or the page is zoomed. Returns a
+ * function that stops watching.
+ */
+export function watchResolution(onChange) {
+  let query = null;
+  const changed = () => {
+    listen();
+    onChange(window.devicePixelRatio || 1);
+  };
+  // Each query only matches the current ratio, so it's replaced after every change
+  const listen = () => {
+    query?.removeEventListener('change', changed);
+    query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', changed);
+  };
+  listen();
+  return () => query.removeEventListener('change', changed);
+}
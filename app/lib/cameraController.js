@@ -0,0 +1,170 @@
+/**
+ * Moves the plane's camera: dragging with momentum, zooming within bounds,
+ * keyboard nudges and animated flights, all on one `viewBox` (see camera.js
+ * for how it maps to the screen).
+ *
+ * The controller owns the current `viewBox` and hands it to `onChange` at
+ * most once per animation frame. Only one motion runs at a time: grabbing the
+ * plane, zooming or starting a flight stops whatever glide or flight was
+ * under way, so the user can always take over mid-animation.
+ */
+
+// Scales the world can be zoomed between
+export const ZOOM_LIMITS = { min: 0.001, max: 4 };
+
+const FLY_DURATION = 1000;
+// Keyboard moves ease over a short flight, and a held key chains them
+const NUDGE_DURATION = 150;
+
+// Only the drag of the last moments before letting go sets the momentum
+const VELOCITY_WINDOW = 100;
+// Slower flings than this (CSS pixels per ms) just stop
+const MIN_FLING_SPEED = 0.05;
+const MIN_GLIDE_SPEED = 0.01;
+// Time for a glide to lose about two thirds of its speed
+const GLIDE_TIME_CONSTANT = 325;
+
+// Fast to start, gentle to land
+const easeOut = (t) => 1 - Math.pow(1 - t, 3);
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export function createCameraController(camera, { viewBox, onChange, zoomLimits = ZOOM_LIMITS }) {
+  let current = viewBox;
+  let pending = null; // Frame handing `current` to onChange
+  let motion = null; // { frame, target? } of the glide or flight under way
+  let drag = null;
+
+  const clampScale = (scale) => Math.min(zoomLimits.max, Math.max(zoomLimits.min, scale));
+
+  const set = (next) => {
+    current = next;
+    if (pending === null) {
+      pending = requestAnimationFrame(() => {
+        pending = null;
+        onChange(current);
+      });
+    }
+  };
+
+  const stop = () => {
+    if (motion) cancelAnimationFrame(motion.frame);
+    motion = null;
+  };
+
+  // Runs `step(elapsed, dt)` every frame until it returns false
+  const animate = (step, target) => {
+    stop();
+    const startTime = performance.now();
+    let lastTime = startTime;
+    const tick = (time) => {
+      // Frame times can start a little before the animation did
+      const dt = Math.max(0, time - lastTime);
+      lastTime = Math.max(lastTime, time);
+      if (step(Math.max(0, time - startTime), dt) === false) {
+        motion = null;
+      } else {
+        motion.frame = requestAnimationFrame(tick);
+      }
+    };
+    motion = { frame: requestAnimationFrame(tick), target };
+  };
+
+  const flyTo = (target, duration = FLY_DURATION) => {
+    const from = current;
+    const to = { ...target, scale: clampScale(target.scale) };
+    // Zoom evenly in log scale, so a long zoom doesn't rush through the far end
+    const fromLog = Math.log(from.scale);
+    const toLog = Math.log(to.scale);
+    animate((elapsed) => {
+      const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+      const t = easeOut(progress);
+      set({ x: lerp(from.x, to.x, t), y: lerp(from.y, to.y, t), scale: Math.exp(lerp(fromLog, toLog, t)) });
+      return progress < 1;
+    }, to);
+  };
+
+  const zoomAt = (viewBox, clientX, clientY, factor) =>
+    camera.zoomAt(viewBox, clientX, clientY, clampScale(viewBox.scale * factor) / viewBox.scale);
+
+  return {
+    get viewBox() {
+      return current;
+    },
+
+    stop,
+
+    // Pointer down: takes over from any motion. A second pointer ends the
+    // drag, as two fingers pinch instead
+    grab(clientX, clientY, pointerId) {
+      stop();
+      if (drag) {
+        drag = null;
+        return;
+      }
+      const time = performance.now();
+      drag = {
+        pointerId,
+        startX: clientX,
+        startY: clientY,
+        startViewBox: current,
+        samples: [{ time, x: clientX, y: clientY }],
+      };
+    },
+
+    drag(clientX, clientY, pointerId) {
+      if (!drag || drag.pointerId !== pointerId) return;
+      const time = performance.now();
+      drag.samples.push({ time, x: clientX, y: clientY });
+      while (drag.samples.length > 2 && time - drag.samples[0].time > VELOCITY_WINDOW) drag.samples.shift();
+      set(camera.panBy(drag.startViewBox, clientX - drag.startX, clientY - drag.startY));
+    },
+
+    // Pointer up: a quick enough fling keeps gliding and slows down
+    release(pointerId) {
+      if (!drag || drag.pointerId !== pointerId) return;
+      const { samples } = drag;
+      drag = null;
+      const first = samples[0];
+      const last = samples[samples.length - 1];
+      const elapsed = last.time - first.time;
+      if (!elapsed || performance.now() - last.time > VELOCITY_WINDOW) return;
+
+      let velocity = { x: (last.x - first.x) / elapsed, y: (last.y - first.y) / elapsed };
+      if (Math.hypot(velocity.x, velocity.y) < MIN_FLING_SPEED) return;
+      animate((elapsed, dt) => {
+        set(camera.panBy(current, velocity.x * dt, velocity.y * dt));
+        const decay = Math.exp(-dt / GLIDE_TIME_CONSTANT);
+        velocity = { x: velocity.x * decay, y: velocity.y * decay };
+        return Math.hypot(velocity.x, velocity.y) >= MIN_GLIDE_SPEED;
+      });
+    },
+
+    // Zooms by `factor` about a client point, within the zoom limits
+    zoomAt(clientX, clientY, factor) {
+      stop();
+      set(zoomAt(current, clientX, clientY, factor));
+      // A drag carries on from the zoomed view
+      if (drag) {
+        const last = drag.samples[drag.samples.length - 1];
+        Object.assign(drag, { startX: last.x, startY: last.y, startViewBox: current });
+      }
+    },
+
+    // Eases the view by `dx`, `dy` CSS pixels and `factor` of zoom about its
+    // centre, from where any nudge under way was headed
+    nudge(dx, dy, factor = 1) {
+      const from = motion?.target ?? current;
+      const { frame } = camera;
+      const centreX = frame.left + frame.width / 2;
+      const centreY = frame.top + frame.height / 2;
+      flyTo(zoomAt(camera.panBy(from, -dx, -dy), centreX, centreY, factor), NUDGE_DURATION);
+    },
+
+    flyTo,
+
+    destroy() {
+      stop();
+      if (pending !== null) cancelAnimationFrame(pending);
+    },
+  };
+}
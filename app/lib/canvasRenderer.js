@@ -0,0 +1,146 @@
+/**
+ * Draws character display lists (see characterScene.js) on a plain 2D canvas,
+ * for browsers without WebGL. Same atlas and same interface as the Pixi
+ * renderer, but everything on screen is redrawn each frame, so characters
+ * outside the view are skipped.
+ */
+
+import { CHARACTER_EXTENT } from './characterScene';
+
+export function createCanvasRenderer(canvas, atlas, { width, height, resolution }) {
+  const context = canvas.getContext('2d');
+  // Tinted layers are coloured in here before they're drawn
+  const scratch = document.createElement('canvas');
+  const scratchContext = scratch.getContext('2d');
+
+  let descriptions = [];
+  let camera = { x: 0, y: 0, scale: 1 };
+  let size = { width, height, resolution };
+  let frame = null;
+
+  const drawImage = ({ frame: name, x, y, width: drawnWidth, height: drawnHeight, tint }, pixelScale) => {
+    const source = atlas.frames.get(name);
+    if (!source) return;
+    if (!tint) {
+      context.drawImage(atlas.canvas, source.x, source.y, source.width, source.height, x, y, drawnWidth, drawnHeight);
+      return;
+    }
+    // Colour the white fill layer at about the size it's shown, then draw that
+    const scratchWidth = Math.max(1, Math.min(source.width, Math.ceil(drawnWidth * pixelScale)));
+    const scratchHeight = Math.max(1, Math.min(source.height, Math.ceil(drawnHeight * pixelScale)));
+    scratch.width = scratchWidth;
+    scratch.height = scratchHeight;
+    scratchContext.drawImage(atlas.canvas, source.x, source.y, source.width, source.height, 0, 0, scratchWidth, scratchHeight);
+    scratchContext.globalCompositeOperation = 'multiply';
+    scratchContext.fillStyle = tint;
+    scratchContext.fillRect(0, 0, scratchWidth, scratchHeight);
+    scratchContext.globalCompositeOperation = 'destination-in';
+    scratchContext.drawImage(atlas.canvas, source.x, source.y, source.width, source.height, 0, 0, scratchWidth, scratchHeight);
+    scratchContext.globalCompositeOperation = 'source-over';
+    context.drawImage(scratch, x, y, drawnWidth, drawnHeight);
+  };
+
+  const drawRect = ({ x, y, width: rectWidth, height: rectHeight, radius, fill, stroke, strokeWidth }) => {
+    context.beginPath();
+    if (radius) context.roundRect(x, y, rectWidth, rectHeight, radius);
+    else context.rect(x, y, rectWidth, rectHeight);
+    if (fill) {
+      context.fillStyle = fill;
+      context.fill();
+    }
+    if (stroke) {
+      context.strokeStyle = stroke;
+      context.lineWidth = strokeWidth;
+      context.stroke();
+    }
+  };
+
+  const drawText = ({ text, x, y, fontSize, fontFamily, fill, align, baseline }) => {
+    context.font = `${fontSize}px ${fontFamily || 'sans-serif'}`;
+    context.fillStyle = fill || 'black';
+    context.textAlign = align || 'start';
+    context.textBaseline = baseline || 'alphabetic';
+    context.fillText(text, x, y);
+  };
+
+  const drawDot = ({ x, y, radius, fill }) => {
+    context.beginPath();
+    context.arc(x, y, radius, 0, Math.PI * 2);
+    context.fillStyle = fill;
+    context.fill();
+  };
+
+  const isOnScreen = ({ x, y, scale }) => {
+    const extent = CHARACTER_EXTENT * scale * camera.scale;
+    const screenX = camera.x + x * camera.scale;
+    const screenY = camera.y + y * camera.scale;
+    return screenX + extent > 0 && screenX - extent < size.width && screenY + extent > 0 && screenY - extent < size.height;
+  };
+
+  const draw = () => {
+    frame = null;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    descriptions.forEach((description) => {
+      if (!isOnScreen(description)) return;
+      const pixelScale = camera.scale * description.scale * size.resolution;
+
+      context.save();
+      context.setTransform(
+        size.resolution * camera.scale,
+        0,
+        0,
+        size.resolution * camera.scale,
+        size.resolution * camera.x,
+        size.resolution * camera.y,
+      );
+      context.globalAlpha = description.opacity;
+      if (description.grayscale) context.filter = 'grayscale(1)';
+      if (description.outline) drawRect(description.outline);
+
+      context.translate(description.x, description.y);
+      context.scale(description.scale, description.scale);
+      description.ops.forEach((op) => {
+        if (op.type === 'image') drawImage(op, pixelScale);
+        else if (op.type === 'text') drawText(op);
+        else if (op.type === 'rect') drawRect(op);
+        else if (op.type === 'dot') drawDot(op);
+      });
+      context.restore();
+    });
+  };
+
+  const render = () => {
+    if (frame === null) frame = requestAnimationFrame(draw);
+  };
+
+  const resize = (nextWidth, nextHeight, nextResolution) => {
+    size = { width: nextWidth, height: nextHeight, resolution: nextResolution };
+    canvas.width = Math.round(nextWidth * nextResolution);
+    canvas.height = Math.round(nextHeight * nextResolution);
+    render();
+  };
+  resize(width, height, resolution);
+
+  return {
+    kind: 'canvas',
+
+    setScene(next) {
+      descriptions = next;
+      render();
+    },
+
+    // `screen = offset + scale * world`, in CSS pixels
+    setCamera(next) {
+      camera = next;
+      render();
+    },
+
+    resize,
+
+    destroy() {
+      if (frame !== null) cancelAnimationFrame(frame);
+    },
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Bakes the parts of a trait catalog into one texture atlas for the canvas
+ * renderers: a canvas with every part drawn into its own cell, and the frame
+ * of each part in it (named as in characterScene.js).
+ *
+ * Parts that take the body colour are baked twice: a `fill` layer with their
+ * colour slots in white and everything else left out, which the renderers
+ * tint per character, and an `ink` layer with everything but the colour
+ * slots. Heads keep their own colours and are baked once.
+ */
+
+import { serialiseSvg, SVG_ASSETS } from '../../lib/svgAssets';
+import { DOT_FRAME, fillFrame, inkFrame, partFrame, SPEECH_FRAME } from './characterScene';
+
+// Largest texture every WebGL device is expected to handle
+const MAX_ATLAS_SIZE = 4096;
+const MAX_CELL_SIZE = 512;
+// Empty pixels around each cell, so neighbours don't bleed in when scaled
+const PADDING = 2;
+
+const PAINTS = ['fill', 'stroke'];
+
+function paintsOf({ attributes }) {
+  const paints = {};
+  PAINTS.forEach((paint) => {
+    if (attributes[paint]) paints[paint] = attributes[paint];
+  });
+  // Styles win over attributes, as in the browser
+  (attributes.style || '').split(';').forEach((declaration) => {
+    const [property, value] = declaration.split(':').map((part) => part && part.trim());
+    if (PAINTS.includes(property)) paints[property] = value;
+  });
+  return paints;
+}
+
+/**
+ * `node` with only its colour slots (`layer: 'fill'`, in white) or everything
+ * but them (`layer: 'ink'`). `inherited` are the paints of its parent.
+ * Sets `found.color` when any element is painted with the body colour.
+ */
+function splitPaints(node, layer, inherited, found) {
+  const paints = { ...inherited, ...paintsOf(node) };
+  const overrides = PAINTS.map((paint) => {
+    const isColor = paints[paint] === 'currentColor';
+    if (isColor) found.color = true;
+    if (layer === 'fill') return `${paint}:${isColor ? '#ffffff' : 'none'}`;
+    return `${paint}:${isColor ? 'none' : paints[paint]}`;
+  });
+  const style = [node.attributes.style, ...overrides].filter(Boolean).join(';');
+
+  return {
+    ...node,
+    attributes: { ...node.attributes, style },
+    children: node.children.map((child) =>
+      typeof child === 'string' ? child : splitPaints(child, layer, paints, found),
+    ),
+  };
+}
+
+const DEFAULT_PAINTS = { fill: 'black', stroke: 'none' };
+
+// A white circle filling its frame, tinted per character for dots
+const DOT_SVG = {
+  tag: 'svg',
+  attributes: { viewBox: '0 0 2 2' },
+  children: [{ tag: 'circle', attributes: { cx: '1', cy: '1', r: '1', fill: '#ffffff' }, children: [] }],
+};
+
+// The drawings to bake, as [frame, markup attributes, tree]
+function atlasEntries(catalog, assets) {
+  const entries = [
+    [SPEECH_FRAME, { fill: 'white', stroke: 'black', 'stroke-width': '2' }, assets.speech[0].svg],
+    [DOT_FRAME, {}, DOT_SVG],
+  ];
+
+  const heads = new Set(Object.values(catalog.heads).flat().map(({ id }) => id));
+  heads.forEach((id) => entries.push([partFrame(id), {}, assets.parts[id]]));
+
+  // Bodies are painted in the body colour where they don't say otherwise, as on the plane
+  const colored = [
+    ...catalog.bodies.map(({ id }) => [id, { ...DEFAULT_PAINTS, fill: 'currentColor' }]),
+    ...catalog.accessories.map(({ id }) => [id, DEFAULT_PAINTS]),
+  ];
+  colored.forEach(([id, paints]) => {
+    const found = { color: false };
+    const ink = splitPaints(assets.parts[id], 'ink', paints, found);
+    entries.push([inkFrame(id), {}, ink]);
+    if (found.color) entries.push([fillFrame(id), {}, splitPaints(assets.parts[id], 'fill', paints, found)]);
+  });
+  return entries;
+}
+
+async function loadSvgImage(markup) {
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * The atlas of `catalog`: `{ canvas, frames }`, where `frames` maps frame
+ * names to their `{ x, y, width, height }` in the canvas.
+ */
+export async function bakeAtlas(catalog, assets = SVG_ASSETS) {
+  const entries = atlasEntries(catalog, assets);
+  const columns = Math.ceil(Math.sqrt(entries.length));
+  const rows = Math.ceil(entries.length / columns);
+  const cell = Math.min(MAX_CELL_SIZE, Math.floor(MAX_ATLAS_SIZE / columns));
+  const size = cell - PADDING * 2;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * cell;
+  canvas.height = rows * cell;
+  const context = canvas.getContext('2d');
+  const frames = new Map();
+
+  const images = await Promise.all(
+    entries.map(([, attributes, svg]) =>
+      loadSvgImage(
+        serialiseSvg(svg, { xmlns: 'http://www.w3.org/2000/svg', width: size, height: size, ...attributes }),
+      ),
+    ),
+  );
+  images.forEach((image, index) => {
+    const frame = {
+      x: (index % columns) * cell + PADDING,
+      y: Math.floor(index / columns) * cell + PADDING,
+      width: size,
+      height: size,
+    };
+    context.drawImage(image, frame.x, frame.y, size, size);
+    frames.set(entries[index][0], frame);
+  });
+
+  return { canvas, frames };
+}
@@ -0,0 +1,219 @@
+/**
+ * Characters as plain display lists, for the canvas renderers.
+ *
+ * The SVG plane draws each character with React in `drawCharacter`; the Pixi
+ * and Canvas2D renderers can't, so they get the same composition here as a
+ * list of images (frames of the texture atlas, see characterAtlas.js), text
+ * and rectangles in the character's own units. Keep the two in step.
+ */
+
+import { BODY_LAYER, HEAD_LAYER } from '../../lib/accessories';
+import { characterScale, LANDMARK_SCALE } from '../../lib/characterSpec';
+
+// The plane's unscaled character unit
+const BASE_SIZE = 400;
+
+// Parts are 300×300 drawings shown in a 1920×1080 viewport, so they end up
+// 1080 units square, centred across it
+const PART_SIZE = 1080;
+const PART_INSET = (1920 - PART_SIZE) / 2;
+
+// Furthest any part of a character is drawn from its origin, in its own units
+export const CHARACTER_EXTENT = 1200;
+
+// Characters zoomed far out are a dot about the size of their body
+export const DOT = { x: 160, y: 140, radius: 300 };
+
+// Frame names in the atlas. Parts that take the body colour are split into a
+// `fill` layer, tinted per character, and an `ink` layer drawn as it is
+export const partFrame = (id) => `part:${id}`;
+export const fillFrame = (id) => `part:${id}:fill`;
+export const inkFrame = (id) => `part:${id}:ink`;
+export const SPEECH_FRAME = 'speech';
+export const DOT_FRAME = 'dot';
+
+const LANDMARK_ICONS = {
+  pool: '🏊',
+  burn: '🔥',
+  exchange: '🏦',
+  program: '🤖',
+  custom: '🚧',
+};
+
+const partImages = (id, x, y, tint) => {
+  const rect = { x: x + PART_INSET, y, width: PART_SIZE, height: PART_SIZE };
+  return tint
+    ? [
+        { type: 'image', frame: fillFrame(id), tint, ...rect },
+        { type: 'image', frame: inkFrame(id), ...rect },
+      ]
+    : [{ type: 'image', frame: partFrame(id), ...rect }];
+};
+
+const cellOutline = (cell) =>
+  cell && {
+    type: 'rect',
+    x: cell.left,
+    y: cell.top,
+    width: cell.width,
+    height: cell.height,
+    stroke: 'rgba(0, 0, 0, 0.25)',
+    strokeWidth: Math.max(2, Math.min(cell.width, cell.height) * 0.01),
+  };
+
+const shortAddress = (wallet) => `${wallet.slice(0, 4)}...${wallet.slice(-4)}`;
+
+/**
+ * What a degen looks like on the plane. `spec` is its character spec, `badge`
+ * the change badge to show, if any, and `rarityRank` its rank when it's among
+ * the rarest. `markerFont` is the CSS font family of the speech bubbles.
+ * A `silhouette` (see levelOfDetail.js) leaves out the bubble and labels.
+ */
+export function describeCharacter(
+  character,
+  { spec, badge, isGhost, rarityRank, accent, markerFont, detail = 'full' },
+) {
+  const { x, y, walletAddress, cell, appear = 1 } = character;
+  // The layout may have sized the character itself
+  const scale = character.scale ?? spec.scale;
+  const origin = { x: -BASE_SIZE * 2, y: -BASE_SIZE };
+
+  const layers = [
+    { layer: BODY_LAYER, images: partImages(spec.bodyId, origin.x, origin.y, spec.bodyColor) },
+    { layer: HEAD_LAYER, images: partImages(spec.headId, origin.x, origin.y) },
+    ...spec.accessories.map(({ id, layer, offset }) => ({
+      layer,
+      images: partImages(id, origin.x + offset.x, origin.y + offset.y, spec.bodyColor),
+    })),
+  ].sort((a, b) => a.layer - b.layer);
+
+  const description = {
+    key: walletAddress,
+    x,
+    y,
+    scale: scale * appear,
+    opacity: (isGhost ? 0.35 : 1) * appear,
+    grayscale: isGhost,
+    ops: layers.flatMap(({ images }) => images),
+    outline: cellOutline(cell),
+  };
+  if (detail === 'silhouette') return description;
+
+  const lineCount = spec.speechLines.length;
+  const bubbleScaleY = 1 + (lineCount - 1) * 0.5;
+  const bubbleYOffset = (lineCount - 1) * 30;
+
+  const ops = description.ops;
+  ops.push(
+    {
+      type: 'image',
+      frame: SPEECH_FRAME,
+      x: -BASE_SIZE * 0.8 + PART_INSET * 0.6,
+      y: -(BASE_SIZE + bubbleYOffset),
+      width: PART_SIZE * 0.6,
+      height: PART_SIZE * 0.6 * bubbleScaleY,
+    },
+    ...spec.speechLines.map((line, index) => ({
+      type: 'text',
+      text: line,
+      x: BASE_SIZE * 1.5,
+      y: -BASE_SIZE * 0.85 + index * 54 * 1.2,
+      fontSize: 54,
+      fontFamily: markerFont,
+      fill: 'black',
+      align: 'center',
+      baseline: 'middle',
+    })),
+  );
+  if (badge) {
+    ops.push({ type: 'text', text: badge, x: -BASE_SIZE * 1.3, y: -BASE_SIZE * 0.6, fontSize: 120, align: 'center', baseline: 'middle' });
+  }
+  if (rarityRank) {
+    ops.push({
+      type: 'text',
+      text: `💎 #${rarityRank}`,
+      x: BASE_SIZE * 0.55,
+      y: BASE_SIZE * 2,
+      fontSize: 80,
+      fontFamily: markerFont,
+      fill: accent,
+      align: 'center',
+    });
+  }
+  ops.push({
+    type: 'text',
+    text: shortAddress(walletAddress),
+    x: BASE_SIZE * 0.55,
+    y: BASE_SIZE * 1.65,
+    fontSize: 18 / scale,
+    fontFamily: 'monospace',
+    fill: '#666',
+    align: 'center',
+  });
+  return description;
+}
+
+// A degen zoomed far out: a dot in its body colour
+export function describeDot(character, { bodyColor, isGhost }) {
+  const { x, y, walletAddress, sizeParameter, cell, appear = 1 } = character;
+  const scale = character.scale ?? characterScale(sizeParameter);
+  return {
+    key: walletAddress,
+    x,
+    y,
+    scale: scale * appear,
+    opacity: (isGhost ? 0.35 : 1) * appear,
+    grayscale: isGhost,
+    ops: [{ type: 'dot', x: DOT.x, y: DOT.y, radius: DOT.radius, fill: bodyColor }],
+    outline: cellOutline(cell),
+  };
+}
+
+// Excluded wallets (pools, burn address, exchanges) kept on the map as signposts
+export function describeLandmark(character, { markerFont }) {
+  const { x, y, walletAddress, landmark, cell, appear = 1 } = character;
+  return {
+    key: walletAddress,
+    x,
+    y,
+    scale: LANDMARK_SCALE * appear,
+    opacity: appear,
+    grayscale: false,
+    ops: [
+      { type: 'rect', x: -20, y: -BASE_SIZE * 0.3, width: 40, height: BASE_SIZE * 1.5, fill: '#5b4636', stroke: 'black', strokeWidth: 4 },
+      {
+        type: 'rect',
+        x: -BASE_SIZE * 1.1,
+        y: -BASE_SIZE * 0.9,
+        width: BASE_SIZE * 2.2,
+        height: BASE_SIZE * 0.7,
+        radius: 30,
+        fill: 'white',
+        stroke: 'black',
+        strokeWidth: 6,
+      },
+      {
+        type: 'text',
+        text: `${LANDMARK_ICONS[landmark.category] || LANDMARK_ICONS.custom} ${landmark.label}`,
+        x: 0,
+        y: -BASE_SIZE * 0.55,
+        fontSize: 80,
+        fontFamily: markerFont,
+        fill: 'black',
+        align: 'center',
+        baseline: 'middle',
+      },
+      {
+        type: 'text',
+        text: shortAddress(walletAddress),
+        x: 0,
+        y: BASE_SIZE * 1.4,
+        fontSize: 18 / LANDMARK_SCALE,
+        fontFamily: 'monospace',
+        fill: '#666',
+        align: 'center',
+      },
+    ],
+    outline: cellOutline(cell),
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Holder streaming helpers for the client.
+ *
+ * `/api/hello?format=ndjson` sends one holder per line. These helpers read the
+ * response body as it arrives and hand holders over in chunks, so the plane can
+ * start drawing before the whole list has downloaded. Every line is checked
+ * against the holder schema; a response in another schema version is refused.
+ */
+
+import { assertSchemaVersion, parseHolder } from '../../lib/schema';
+
+const DEFAULT_CHUNK_SIZE = 1000;
+
+// Read an NDJSON response and call onChunk(holders, offset, total) per chunk
+export async function readHolderStream(response, onChunk, chunkSize = DEFAULT_CHUNK_SIZE) {
+  // Errors come back as `{ error }` JSON, not NDJSON
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(`${error || response.statusText || 'Request failed'} (${response.status})`);
+  }
+  assertSchemaVersion(Number(response.headers.get('X-Schema-Version')));
+  const total = Number(response.headers.get('X-Total-Count')) || null;
+
+  // Browsers without streaming bodies still get the list, just in one go
+  if (!response.body || !response.body.getReader) {
+    const holders = parseLines(await response.text());
+    onChunk(holders, 0, total ?? holders.length, true);
+    return holders.length;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let pending = [];
+  let offset = 0;
+
+  const flush = (isLast) => {
+    if (!pending.length && !isLast) return;
+    onChunk(pending, offset, total ?? offset + pending.length, isLast);
+    offset += pending.length;
+    pending = [];
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const newline = buffer.lastIndexOf('\n');
+    if (newline === -1) continue;
+
+    pending.push(...parseLines(buffer.slice(0, newline), offset + pending.length));
+    buffer = buffer.slice(newline + 1);
+
+    if (pending.length >= chunkSize) {
+      flush(false);
+    }
+  }
+
+  pending.push(...parseLines(buffer + decoder.decode(), offset + pending.length));
+  flush(true);
+  return offset;
+}
+
+// `first` is the index of the first holder in `text`, for error messages
+function parseLines(text, first = 0) {
+  return text
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line, index) => parseHolder(JSON.parse(line), `holders[${first + index}]`));
+}
@@ -0,0 +1,17 @@
+/**
+ * The ways the plane can arrange holders. The layout worker implements each
+ * one; the plane offers them in its layout picker.
+ */
+export const LAYOUTS = [
+  { id: 'spiral', label: 'Spiral', description: 'Largest holders in the middle, everyone else spiralling out' },
+  { id: 'grid', label: 'Grid', description: 'Every holder in rank order, row by row' },
+  { id: 'rings', label: 'Rings', description: 'Concentric rings of whales, dolphins and shrimp' },
+  { id: 'slots', label: 'Fixed spots', description: 'Every wallet keeps its spot while it holds; newcomers fill the gaps sellers leave' },
+  { id: 'treemap', label: 'Treemap', description: 'Each holder gets an area matching their share of the supply' },
+];
+
+export const DEFAULT_LAYOUT = 'spiral';
+
+export function isLayout(id) {
+  return LAYOUTS.some((layout) => layout.id === id);
+}
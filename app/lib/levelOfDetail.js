@@ -0,0 +1,24 @@
+/**
+ * How much of each character the plane draws at a given zoom (`viewBox.scale`).
+ * Zoomed far out, speech bubbles and labels are unreadable and thousands of
+ * characters are on screen, so they're drawn as less:
+ *
+ * - `dot`: a dot in the body colour.
+ * - `silhouette`: body, head and accessories, no bubble or labels.
+ * - `full`: everything.
+ *
+ * Tiers go by the zoom of the whole plane, not each character's size on
+ * screen, so everyone switches together and a scene only changes at the
+ * thresholds.
+ */
+export const DETAIL_TIERS = [
+  // Below this, a character is a few pixels across
+  { id: 'dot', maxZoom: 0.04 },
+  // Below this, bubble text is under about 6px
+  { id: 'silhouette', maxZoom: 0.12 },
+  { id: 'full', maxZoom: Infinity },
+];
+
+export function levelOfDetail(zoom) {
+  return DETAIL_TIERS.find((tier) => zoom < tier.maxZoom).id;
+}
@@ -0,0 +1,172 @@
+/**
+ * Draws character display lists (see characterScene.js) with Pixi on WebGL.
+ *
+ * Every part is a sprite cut from one atlas texture, so the characters batch
+ * into a handful of draw calls, and panning or zooming only moves the world
+ * container: nothing is rebuilt until the characters themselves change. Pixi
+ * only renders when asked to, so an idle plane costs nothing.
+ *
+ * pixi.js is loaded on first use, so the SVG renderer never pays for it.
+ */
+
+import { DOT_FRAME } from './characterScene';
+
+// Pixi positions text by its box; this is roughly where the alphabetic baseline falls in it
+const BASELINE_ANCHOR = { middle: 0.5, alphabetic: 0.8 };
+
+export async function createPixiRenderer(canvas, atlas, { width, height, resolution }) {
+  const { Application, ColorMatrixFilter, Container, Graphics, Rectangle, Sprite, Text, Texture } = await import(
+    'pixi.js'
+  );
+
+  const app = new Application();
+  await app.init({
+    canvas,
+    width,
+    height,
+    resolution,
+    autoDensity: true,
+    antialias: true,
+    backgroundAlpha: 0,
+    autoStart: false,
+    preference: 'webgl',
+  });
+
+  const source = Texture.from(atlas.canvas).source;
+  const textures = new Map(
+    Array.from(atlas.frames, ([name, frame]) => [
+      name,
+      new Texture({ source, frame: new Rectangle(frame.x, frame.y, frame.width, frame.height) }),
+    ]),
+  );
+
+  const ghostFilter = new ColorMatrixFilter();
+  ghostFilter.desaturate();
+
+  const world = new Container();
+  app.stage.addChild(world);
+
+  // Built characters by key, with the description they were built from
+  const nodes = new Map();
+  let frame = null;
+
+  const render = () => {
+    if (frame !== null) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      app.render();
+    });
+  };
+
+  const drawRect = ({ x, y, width, height, radius, fill, stroke, strokeWidth }) => {
+    const graphics = new Graphics();
+    if (radius) graphics.roundRect(x, y, width, height, radius);
+    else graphics.rect(x, y, width, height);
+    if (fill) graphics.fill(fill);
+    if (stroke) graphics.stroke({ width: strokeWidth, color: stroke });
+    return graphics;
+  };
+
+  const drawOp = (op) => {
+    switch (op.type) {
+      case 'image': {
+        const texture = textures.get(op.frame);
+        if (!texture) return null;
+        const sprite = new Sprite(texture);
+        sprite.position.set(op.x, op.y);
+        sprite.width = op.width;
+        sprite.height = op.height;
+        if (op.tint) sprite.tint = op.tint;
+        return sprite;
+      }
+      case 'text': {
+        const text = new Text({
+          text: op.text,
+          style: { fontFamily: op.fontFamily || 'sans-serif', fontSize: op.fontSize, fill: op.fill || 'black' },
+        });
+        text.anchor.set(op.align === 'center' ? 0.5 : 0, BASELINE_ANCHOR[op.baseline || 'alphabetic']);
+        text.position.set(op.x, op.y);
+        return text;
+      }
+      case 'rect':
+        return drawRect(op);
+      // Dots are tinted sprites of one white circle, so thousands of them still batch
+      case 'dot': {
+        const sprite = new Sprite(textures.get(DOT_FRAME));
+        sprite.anchor.set(0.5);
+        sprite.position.set(op.x, op.y);
+        sprite.width = op.radius * 2;
+        sprite.height = op.radius * 2;
+        sprite.tint = op.fill;
+        return sprite;
+      }
+      default:
+        return null;
+    }
+  };
+
+  const build = (description) => {
+    const node = new Container();
+    node.alpha = description.opacity;
+    if (description.grayscale) node.filters = [ghostFilter];
+    if (description.outline) node.addChild(drawRect(description.outline));
+
+    const character = new Container();
+    character.position.set(description.x, description.y);
+    character.scale.set(description.scale);
+    description.ops.forEach((op) => {
+      const child = drawOp(op);
+      if (child) character.addChild(child);
+    });
+    node.addChild(character);
+    return node;
+  };
+
+  return {
+    kind: 'webgl',
+
+    // Characters are rebuilt only when their description changed
+    setScene(descriptions) {
+      const seen = new Set();
+      world.removeChildren();
+      descriptions.forEach((description) => {
+        const signature = JSON.stringify(description);
+        let entry = nodes.get(description.key);
+        if (!entry || entry.signature !== signature) {
+          entry?.node.destroy({ children: true });
+          entry = { signature, node: build(description) };
+          nodes.set(description.key, entry);
+        }
+        seen.add(description.key);
+        world.addChild(entry.node);
+      });
+      nodes.forEach((entry, key) => {
+        if (!seen.has(key)) {
+          entry.node.destroy({ children: true });
+          nodes.delete(key);
+        }
+      });
+      render();
+    },
+
+    // `screen = offset + scale * world`, in CSS pixels
+    setCamera({ x, y, scale }) {
+      world.position.set(x, y);
+      world.scale.set(scale);
+      render();
+    },
+
+    resize(width, height, resolution) {
+      app.renderer.resize(width, height, resolution);
+      render();
+    },
+
+    destroy() {
+      if (frame !== null) cancelAnimationFrame(frame);
+      textures.forEach((texture) => texture.destroy());
+      source.destroy();
+      // The canvas belongs to React, so it's left in the page
+      app.destroy({ removeView: false }, { children: true });
+    },
+  };
+}
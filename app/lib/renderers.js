@@ -0,0 +1,15 @@
+/**
+ * The ways the plane can draw holders. `svg` renders every visible character
+ * as React-managed SVG nodes; `webgl` draws them with Pixi from a texture
+ * atlas, falling back to a 2D canvas where WebGL isn't available.
+ */
+export const RENDERERS = [
+  { id: 'svg', label: 'SVG', description: 'Crisp at any zoom; best for a few hundred holders' },
+  { id: 'webgl', label: 'WebGL', description: 'Batched sprites on the GPU; smooth with thousands of holders' },
+];
+
+export const DEFAULT_RENDERER = 'svg';
+
+export function isRenderer(id) {
+  return RENDERERS.some((renderer) => renderer.id === id);
+}
@@ -0,0 +1,130 @@
+/**
+ * A uniform grid over character positions, so the plane finds who's in view
+ * without scanning everyone on every frame.
+ *
+ * The layout worker builds one for each batch of positions it posts (a chunk
+ * of the holder list, a whole list or a transition frame) and sends it along
+ * with them; its arrays are transferred, not copied. The plane keeps the
+ * batches it appended as segments, `{ offset, index }`, where `offset` is the
+ * position of the batch's first character in its list.
+ *
+ * Each character is filed under the cell of its origin, and queries are
+ * widened by `reach`, the furthest any indexed character is drawn from its
+ * origin, so nobody partly in view is missed.
+ */
+
+import { characterScale, LANDMARK_SCALE } from '../../lib/characterSpec';
+import { CHARACTER_EXTENT } from './characterScene';
+
+// Smallest cell side, in world units: about one large character
+const MIN_CELL_SIZE = 2000;
+// Cells are sized to hold about this many characters each on average
+const CHARACTERS_PER_CELL = 4;
+
+// Largest scale a character can be drawn at without the layout sizing it
+const MAX_DEFAULT_SCALE = Math.max(characterScale(1), LANDMARK_SCALE);
+
+/**
+ * The index of `positions` (layout worker positions), or null when there are
+ * none.
+ */
+export function buildSpatialIndex(positions) {
+  const count = positions.length;
+  if (!count) return null;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  // Bags change size without a new layout, so the reach allows for the
+  // largest; only scales the layout set itself can go beyond it
+  let maxScale = MAX_DEFAULT_SCALE;
+  positions.forEach(({ x, y, scale }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+    if (scale !== undefined) maxScale = Math.max(maxScale, scale);
+  });
+
+  const width = maxX - minX;
+  const height = maxY - minY;
+  // Long thin spreads are capped at one cell per character along their length
+  const cellSize = Math.max(
+    MIN_CELL_SIZE,
+    Math.sqrt((width * height * CHARACTERS_PER_CELL) / count),
+    Math.max(width, height) / count,
+  );
+  const columns = Math.floor(width / cellSize) + 1;
+  const rows = Math.floor(height / cellSize) + 1;
+
+  // Counting sort by cell: the characters of cell `c` are
+  // `items[starts[c]]` to `items[starts[c + 1] - 1]`
+  const cellOf = new Uint32Array(count);
+  const starts = new Uint32Array(columns * rows + 1);
+  positions.forEach(({ x, y }, i) => {
+    cellOf[i] = Math.floor((y - minY) / cellSize) * columns + Math.floor((x - minX) / cellSize);
+    starts[cellOf[i] + 1] += 1;
+  });
+  for (let cell = 0; cell < columns * rows; cell++) {
+    starts[cell + 1] += starts[cell];
+  }
+  const items = new Uint32Array(count);
+  const filled = starts.slice(0, -1);
+  for (let i = 0; i < count; i++) {
+    items[filled[cellOf[i]]++] = i;
+  }
+
+  return { count, minX, minY, cellSize, columns, rows, starts, items, reach: CHARACTER_EXTENT * maxScale };
+}
+
+// The buffers to transfer when posting `index`
+export function spatialIndexTransfer(index) {
+  return index ? [index.starts.buffer, index.items.buffer] : [];
+}
+
+/**
+ * Positions (in the list the segments index) of the characters drawn in or
+ * near `rect`, a `{ left, top, right, bottom }` area of the world, in list
+ * order. Characters in the cells along its edges are included too, so callers
+ * may get a few just outside.
+ */
+export function querySpatialIndex(segments, { left, top, right, bottom }) {
+  const found = [];
+  segments.forEach(({ offset, index }) => {
+    if (!index) return;
+    const { minX, minY, cellSize, columns, rows, starts, items, reach } = index;
+    const firstColumn = Math.max(0, Math.floor((left - reach - minX) / cellSize));
+    const lastColumn = Math.min(columns - 1, Math.floor((right + reach - minX) / cellSize));
+    const firstRow = Math.max(0, Math.floor((top - reach - minY) / cellSize));
+    const lastRow = Math.min(rows - 1, Math.floor((bottom + reach - minY) / cellSize));
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        const cell = row * columns + column;
+        for (let k = starts[cell]; k < starts[cell + 1]; k++) {
+          found.push(offset + items[k]);
+        }
+      }
+    }
+  });
+  // Later characters are drawn over earlier ones, as in the full list
+  return found.sort((a, b) => a - b);
+}
+
+/**
+ * `rect` grown to a region a few views across, on a grid of power-of-two
+ * steps. It stays the same while the view moves inside it, so a scene built
+ * for the region only needs rebuilding every view or so of panning.
+ */
+export function sceneRegion({ left, top, right, bottom }) {
+  const step = Math.pow(2, Math.ceil(Math.log2(Math.max(right - left, bottom - top, 1))));
+  const column = Math.floor(left / step);
+  const row = Math.floor(top / step);
+  return {
+    left: (column - 1) * step,
+    top: (row - 1) * step,
+    right: (column + 2) * step,
+    bottom: (row + 2) * step,
+  };
+}
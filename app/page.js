@@ -1,14 +1,6 @@
-'use client';
-import dynamic from 'next/dynamic'
-
-const CharacterPlane = dynamic(() => import('./components/CharacterPlane'), {
-  ssr: false,
-});
+import World from './components/World';
+import { getToken } from '../lib/tokens';
 
 export default function Home() {
-  return (
-    <main style={{ margin: 0, padding: 0, overflow: 'hidden' }}>
-      <CharacterPlane />
-    </main>
-  );
-}
\ No newline at end of file
+  return <World token={getToken()} />;
+}
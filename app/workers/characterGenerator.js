@@ -1,71 +1,493 @@
-function convertStringToNumber(seed) {
-  if (typeof seed === 'string') {
-    seed = seed.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+import {
+  CHARACTER_FOOTPRINT,
+  LANDMARK_FOOTPRINT,
+  LANDMARK_SCALE,
+  characterScale,
+} from '../../lib/characterSpec';
+import { mulberry32 } from '../../lib/random';
+import { DEFAULT_LAYOUT } from '../lib/layouts';
+import { buildSpatialIndex, spatialIndexTransfer } from '../lib/spatialIndex';
+
+// Random jitter for a holder's spot. Seeded from the summed char codes of the
+// address, as it always was, so existing spirals don't shift; it only nudges
+// positions, so collisions between wallets don't matter here.
+function layoutRandom(holderID) {
+  return mulberry32(holderID.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0));
+}
+
+// Average distance between neighbours on the spiral, in world units
+const SPIRAL_SPACING = 800;
+// Gap kept between two characters' bounding boxes
+const LAYOUT_MARGIN = 40;
+// Side of a spatial hash cell; about the size of a large character
+const HASH_CELL_SIZE = 2000;
+// Rings of candidate spots tried around a taken spot before pushing outward
+const SEARCH_RINGS = 8;
+
+function footprint({ size, landmark }) {
+  if (landmark) {
+    return {
+      width: LANDMARK_FOOTPRINT.width * LANDMARK_SCALE,
+      height: LANDMARK_FOOTPRINT.height * LANDMARK_SCALE,
+    };
   }
-  return seed;
+  const side = CHARACTER_FOOTPRINT * characterScale(size);
+  return { width: side, height: side };
 }
 
-function mulberry32(seed) {
-  seed = convertStringToNumber(seed);
-  return function() {
-    let t = (seed += 0x6D2B79F5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+function boxAt(x, y, { width, height }) {
+  return {
+    left: x - width / 2,
+    right: x + width / 2,
+    top: y - height / 2,
+    bottom: y + height / 2,
+    width,
+    height,
   };
 }
 
-self.onmessage = function(e) {
-  const { data } = e.data;
-
-  const positions = data
-    .map((item, index) => {
-      const { holderID, size } = item;
-      const rand = mulberry32(holderID);
-      
-      // Position calculation logic
-      const maxRadius = Math.sqrt(data.length) * 500;
-      const goldenAngle = Math.PI * (3 - Math.sqrt(5));
-
-      // Adjust base radius based on character size
-      const sizeScale = 1 + (size * 2); // Increased size impact (changed from 0.5 to 2)
-      let angle = index * goldenAngle;
-      let radius = maxRadius * Math.sqrt(index / data.length) * sizeScale; // Multiply by sizeScale
-
-      // Scale perturbations based on character size
-      const anglePerturbation = (rand() - 0.5) * 0.1;
-      const radiusPerturbation = (rand() - 0.5) * ((maxRadius*0.9) / data.length) * 2 * sizeScale;
-
-      angle += anglePerturbation;
-      radius += radiusPerturbation;
-
-      // Calculate center position
-      const x = radius * Math.cos(angle);
-      const y = radius * Math.sin(angle);
-
-      // Base character dimensions
-      const baseSize = 600;
-      
-      // Calculate actual dimensions after scaling
-      const scaledWidth = baseSize * size;
-      const scaledHeight = baseSize * size;
-      
-      return {
-        x: x,
-        y: y,
-        sizeParameter: size,
-        paramSeed: convertStringToNumber(holderID),
-        walletAddress: holderID,
-        boundingBox: {
-          left: x - scaledWidth/2,
-          right: x + scaledWidth/2,
-          top: y - scaledHeight/2,
-          bottom: y + scaledHeight/2,
-          width: scaledWidth,
-          height: scaledHeight
+// Spatial hash of the boxes placed so far, so checking a spot only looks at
+// the characters around it
+function createPacker() {
+  const cells = new Map();
+
+  const cellKeys = (box) => {
+    const keys = [];
+    const minX = Math.floor((box.left - LAYOUT_MARGIN) / HASH_CELL_SIZE);
+    const maxX = Math.floor((box.right + LAYOUT_MARGIN) / HASH_CELL_SIZE);
+    const minY = Math.floor((box.top - LAYOUT_MARGIN) / HASH_CELL_SIZE);
+    const maxY = Math.floor((box.bottom + LAYOUT_MARGIN) / HASH_CELL_SIZE);
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        keys.push(`${cx},${cy}`);
+      }
+    }
+    return keys;
+  };
+
+  const overlaps = (a, b) =>
+    a.left < b.right + LAYOUT_MARGIN &&
+    b.left < a.right + LAYOUT_MARGIN &&
+    a.top < b.bottom + LAYOUT_MARGIN &&
+    b.top < a.bottom + LAYOUT_MARGIN;
+
+  return {
+    fits(box) {
+      return cellKeys(box).every((key) => !(cells.get(key) || []).some((other) => overlaps(box, other)));
+    },
+    add(box) {
+      cellKeys(box).forEach((key) => {
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(box);
+      });
+    },
+  };
+}
+
+// Closest free spot to (x, y): rings of candidates around it first, then
+// straight out from the centre until the character fits
+function findFreeBox(packer, x, y, dimensions, rand) {
+  const ideal = boxAt(x, y, dimensions);
+  if (packer.fits(ideal)) return ideal;
+
+  const step = Math.min(dimensions.width, dimensions.height) / 2;
+  for (let ring = 1; ring <= SEARCH_RINGS; ring++) {
+    const count = 6 * ring;
+    const start = rand() * Math.PI * 2;
+    for (let k = 0; k < count; k++) {
+      const angle = start + (k / count) * Math.PI * 2;
+      const box = boxAt(x + ring * step * Math.cos(angle), y + ring * step * Math.sin(angle), dimensions);
+      if (packer.fits(box)) return box;
+    }
+  }
+
+  const direction = Math.atan2(y, x);
+  for (let distance = Math.hypot(x, y) + step; ; distance += step) {
+    const box = boxAt(distance * Math.cos(direction), distance * Math.sin(direction), dimensions);
+    if (packer.fits(box)) return box;
+  }
+}
+
+// Extra space between the rings of two holder tiers
+const TIER_GAP = 1500;
+// Share of the supply (in %) a holder needs to make each tier
+const HOLDER_TIERS = [
+  { name: 'whale', minPercentage: 1 },
+  { name: 'dolphin', minPercentage: 0.1 },
+  { name: 'shrimp', minPercentage: 0 },
+];
+// Treemap world area per holder, in footprints of an average character
+const TREEMAP_AREA_PER_HOLDER = 2;
+
+const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+const centre = (box) => ({ x: box.left + box.width / 2, y: box.top + box.height / 2 });
+
+// Landmarks get a ring of their own, inside the whales
+function tierOf({ landmark, share = 0 }) {
+  if (landmark) return -1;
+  return HOLDER_TIERS.findIndex((tier) => share >= tier.minPercentage);
+}
+
+// Holders start from their spot on a golden-angle spiral, largest in the
+// middle, and are nudged to the nearest place where they don't overlap anyone
+// placed before them
+function createSpiralLayout(total) {
+  const packer = createPacker();
+  const maxRadius = Math.sqrt(total) * SPIRAL_SPACING;
+
+  return {
+    place(item, index) {
+      const rand = layoutRandom(item.holderID);
+      const angle = index * goldenAngle + (rand() - 0.5) * 0.1;
+      const radius = maxRadius * Math.sqrt(index / total) + (rand() - 0.5) * (maxRadius / total);
+
+      const boundingBox = findFreeBox(packer, radius * Math.cos(angle), radius * Math.sin(angle), footprint(item), rand);
+      packer.add(boundingBox);
+      return { ...centre(boundingBox), boundingBox };
+    },
+  };
+}
+
+// Rank order, left to right and top to bottom, in cells big enough for the
+// largest character
+function createGridLayout(total) {
+  const columns = Math.max(1, Math.ceil(Math.sqrt(total)));
+  const rows = Math.ceil(total / columns);
+  const cell = CHARACTER_FOOTPRINT * characterScale(1) + LAYOUT_MARGIN;
+
+  return {
+    place(item, index) {
+      const x = (index % columns - (columns - 1) / 2) * cell;
+      const y = (Math.floor(index / columns) - (rows - 1) / 2) * cell;
+      return { x, y, boundingBox: boxAt(x, y, footprint(item)) };
+    },
+  };
+}
+
+// Concentric rings filled in rank order. Each tier starts on a fresh ring a
+// little further out, so whales, dolphins and shrimp read as separate bands.
+function createRingsLayout() {
+  const packer = createPacker();
+  let tier = null;
+  let ring = 0;
+  let radius = 0;
+  let used = 0; // Length of the current ring already taken
+  let ringWidth = 0; // Tallest character on the current ring
+  let reach = 0; // Furthest any character placed so far reaches from the centre
+
+  return {
+    place(item) {
+      const dimensions = footprint(item);
+      const itemTier = tierOf(item);
+
+      if (tier !== null && (itemTier !== tier || used + dimensions.width > 2 * Math.PI * radius)) {
+        radius += ringWidth + LAYOUT_MARGIN;
+        // Characters nudged off their ring can stick out past it; a new tier
+        // starts clear of all of them
+        if (itemTier !== tier) {
+          radius = Math.max(radius, reach + dimensions.height / 2) + TIER_GAP;
         }
-      };
-    });
+        ring += 1;
+        used = 0;
+        ringWidth = 0;
+      }
+      tier = itemTier;
+
+      const angle = ring * goldenAngle + (radius ? (used + dimensions.width / 2) / radius : 0);
+      used += dimensions.width + LAYOUT_MARGIN;
+      ringWidth = Math.max(ringWidth, dimensions.height);
+
+      const boundingBox = findFreeBox(
+        packer,
+        radius * Math.cos(angle),
+        radius * Math.sin(angle),
+        dimensions,
+        layoutRandom(item.holderID)
+      );
+      packer.add(boundingBox);
+      const { x, y } = centre(boundingBox);
+      reach = Math.max(reach, Math.hypot(x, y) + Math.hypot(boundingBox.width, boundingBox.height) / 2);
+      return { x, y, boundingBox };
+    },
+  };
+}
+
+// Coordinates of the `n`th cell of a square spiral around (0, 0)
+function squareSpiral(n) {
+  if (n === 0) return { column: 0, row: 0 };
+
+  const ring = Math.ceil((Math.sqrt(n + 1) - 1) / 2);
+  const side = 2 * ring;
+  // Walk back from the last cell of the ring, one side at a time
+  let along = (2 * ring + 1) * (2 * ring + 1) - 1 - n;
+  if (along < side) return { column: ring - along, row: ring };
+  along -= side;
+  if (along < side) return { column: -ring, row: ring - along };
+  along -= side;
+  if (along < side) return { column: -ring + along, row: -ring };
+  along -= side;
+  return { column: ring, row: -ring + along };
+}
+
+// Every wallet sits in the cell of its slot, which the server keeps for as
+// long as it holds, so nobody moves when others buy or sell. Cells fit the
+// largest character. Holders without a slot (ghosts, older snapshots) go past
+// the highest slot seen.
+function createSlotsLayout() {
+  const cell = CHARACTER_FOOTPRINT * characterScale(1) + LAYOUT_MARGIN;
+  let highestSlot = -1;
+  let overflow = 0;
+
+  return {
+    place(item) {
+      let slot = item.slot;
+      if (slot === undefined) {
+        overflow = Math.max(overflow, highestSlot + 1);
+        slot = overflow++;
+      } else {
+        highestSlot = Math.max(highestSlot, slot);
+      }
+
+      const { column, row } = squareSpiral(slot);
+      const x = column * cell;
+      const y = row * cell;
+      return { x, y, boundingBox: boxAt(x, y, footprint(item)) };
+    },
+  };
+}
+
+// Squarified treemap: splits `rect` into one rectangle per weight, in order,
+// with areas proportional to the weights and aspect ratios close to 1
+function squarify(weights, { x, y, width, height }) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  // Zero weights still get a sliver, so every holder has a rectangle
+  const areas = weights.map((weight) => Math.max(weight, sum * 1e-12) * ((width * height) / sum));
+  const rects = [];
+
+  const worst = (rowArea, min, max, side) =>
+    Math.max((side * side * max) / (rowArea * rowArea), (rowArea * rowArea) / (side * side * min));
+
+  let start = 0;
+  while (start < areas.length) {
+    const side = Math.min(width, height);
+    let end = start + 1;
+    let rowArea = areas[start];
+    let min = areas[start];
+    let max = areas[start];
+
+    while (end < areas.length) {
+      const area = areas[end];
+      const current = worst(rowArea, min, max, side);
+      const next = worst(rowArea + area, Math.min(min, area), Math.max(max, area), side);
+      if (next > current) break;
+      rowArea += area;
+      min = Math.min(min, area);
+      max = Math.max(max, area);
+      end += 1;
+    }
+
+    // Lay the row along the short side, then carry on in what's left
+    const thickness = rowArea / side;
+    let along = 0;
+    for (let i = start; i < end; i++) {
+      const length = areas[i] / thickness;
+      rects.push(
+        width >= height
+          ? { x, y: y + along, width: thickness, height: length }
+          : { x: x + along, y, width: length, height: thickness }
+      );
+      along += length;
+    }
+    if (width >= height) {
+      x += thickness;
+      width -= thickness;
+    } else {
+      y += thickness;
+      height -= thickness;
+    }
+    start = end;
+  }
+
+  return rects;
+}
+
+// Areas match each holder's share of the supply, so it needs the whole list
+// before placing anyone. Characters are shrunk to fit their rectangle.
+function createTreemapLayout() {
+  return {
+    wholeList: true,
+    placeAll(items) {
+      const side = Math.sqrt(items.length * TREEMAP_AREA_PER_HOLDER) * CHARACTER_FOOTPRINT;
+      const weights = items.map((item) => item.share || 0);
+      const hasShares = weights.some((weight) => weight > 0);
+      const rects = squarify(hasShares ? weights : items.map(() => 1), {
+        x: -side / 2,
+        y: -side / 2,
+        width: side,
+        height: side,
+      });
+
+      return rects.map((rect, index) => {
+        const x = rect.x + rect.width / 2;
+        const y = rect.y + rect.height / 2;
+        const cell = { left: rect.x, top: rect.y, width: rect.width, height: rect.height };
+        if (items[index].landmark) {
+          return { x, y, cell, boundingBox: boxAt(x, y, footprint(items[index])) };
+        }
+        const scale = Math.min(rect.width, rect.height) / CHARACTER_FOOTPRINT;
+        const size = CHARACTER_FOOTPRINT * scale;
+        return { x, y, scale, cell, boundingBox: boxAt(x, y, { width: size, height: size }) };
+      });
+    },
+  };
+}
+
+const LAYOUT_FACTORIES = {
+  spiral: createSpiralLayout,
+  grid: createGridLayout,
+  rings: createRingsLayout,
+  slots: createSlotsLayout,
+  treemap: createTreemapLayout,
+};
+
+function createLayout(name, total) {
+  return (LAYOUT_FACTORIES[name] || LAYOUT_FACTORIES[DEFAULT_LAYOUT])(total);
+}
+
+function toPosition(item, placement) {
+  return {
+    ...placement,
+    sizeParameter: item.size,
+    walletAddress: item.holderID,
+    since: item.since,
+    landmark: item.landmark,
+  };
+}
+
+// Every batch of positions goes out with its spatial index, so the plane can
+// cull without scanning them (see app/lib/spatialIndex.js)
+function postPositions(message) {
+  const index = buildSpatialIndex(message.positions);
+  self.postMessage({ ...message, index }, spatialIndexTransfer(index));
+}
+
+// Lays out a complete holder list in one go
+function layoutCharacters(data, layoutName = DEFAULT_LAYOUT) {
+  const layout = createLayout(layoutName, data.length);
+  const placements = layout.wholeList
+    ? layout.placeAll(data)
+    : data.map((item, index) => layout.place(item, index));
+  return data.map((item, index) => toPosition(item, placements[index]));
+}
+
+const TRANSITION_FRAME_INTERVAL = 1000 / 30;
+let transitionTimer = null;
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Animate from one holder list to the next, posting interpolated positions
+// until the transition completes. Newcomers grow in (`appear` 0 → 1), wallets
+// that left shrink out where they stood, everyone else glides and resizes.
+// `fromLayout` is the layout `from` is shown in, when switching layouts.
+function playTransition({ from, to, duration, layout = DEFAULT_LAYOUT, fromLayout = layout }) {
+  clearTimeout(transitionTimer);
+
+  const before = new Map(layoutCharacters(from, fromLayout).map((position) => [position.walletAddress, position]));
+  const after = layoutCharacters(to, layout);
+  const remaining = new Set(after.map((position) => position.walletAddress));
+  const leaving = Array.from(before.values()).filter((position) => !remaining.has(position.walletAddress));
+  const startTime = Date.now();
+
+  const scaleOf = (position) => position.scale ?? characterScale(position.sizeParameter);
+
+  const tick = () => {
+    const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+    const t = easeInOut(progress);
+
+    const positions = after
+      .map((target) => {
+        const origin = before.get(target.walletAddress);
+        if (!origin) {
+          return { ...target, appear: t };
+        }
+        const position = {
+          ...target,
+          x: lerp(origin.x, target.x, t),
+          y: lerp(origin.y, target.y, t),
+          sizeParameter: lerp(origin.sizeParameter, target.sizeParameter, t),
+        };
+        // Treemap cells set their own scale; glide between that and the usual one
+        if (origin.scale !== undefined || target.scale !== undefined) {
+          position.scale = lerp(scaleOf(origin), scaleOf(target), t);
+        }
+        return position;
+      })
+      // Wallets that left are dropped once they've shrunk away
+      .concat(progress < 1 ? leaving.map((position) => ({ ...position, appear: 1 - t })) : []);
+
+    postPositions({ type: 'transition', positions, isComplete: progress === 1 });
+
+    if (progress < 1) {
+      transitionTimer = setTimeout(tick, TRANSITION_FRAME_INTERVAL);
+    }
+  };
+
+  tick();
+}
+
+// The list being laid out chunk by chunk, along with live newcomers after it
+let session = null;
+
+self.onmessage = function(e) {
+  if (e.data.type === 'transition') {
+    playTransition(e.data);
+    return;
+  }
+
+  // Quietly start over from a complete list, e.g. after the plane switched
+  // layouts, so later newcomers are placed around it
+  if (e.data.type === 'reset') {
+    const { data, layout = DEFAULT_LAYOUT } = e.data;
+    session = { layout, items: [...data], engine: createLayout(layout, data.length) };
+    if (!session.engine.wholeList) {
+      data.forEach((item, index) => session.engine.place(item, index));
+    }
+    return;
+  }
+
+  // Holders resized by a live delta, in place: later whole-list layouts use
+  // their new shares, while placed characters keep their spots
+  if (e.data.type === 'update') {
+    if (session) {
+      const updates = new Map(e.data.items.map((item) => [item.holderID, item]));
+      session.items = session.items.map((item) => updates.get(item.holderID) ?? item);
+    }
+    return;
+  }
+
+  const { data, offset = 0, total = data.length, isLast = true, layout = DEFAULT_LAYOUT } = e.data;
+  // Holders can arrive in chunks: `offset` is the rank of the first holder in
+  // `data` and `total` the size of the full list, so every chunk lands where
+  // the complete list would have put it. Later chunks, and live newcomers,
+  // are placed around what's already there; a list starting over at 0 gets a
+  // fresh plane.
+  if (offset === 0 || !session || session.layout !== layout) {
+    session = { layout, items: [], engine: createLayout(layout, total) };
+  }
+  session.items.push(...data);
+
+  // Whole-list layouts wait for the last chunk, then replace every position
+  if (session.engine.wholeList) {
+    if (isLast) {
+      const placements = session.engine.placeAll(session.items);
+      const positions = session.items.map((item, index) => toPosition(item, placements[index]));
+      postPositions({ positions, offset: 0, replace: true, isComplete: true });
+    }
+    return;
+  }
 
-  self.postMessage({ positions, isComplete: true });
-}; 
\ No newline at end of file
+  const positions = data.map((item, index) => toPosition(item, session.engine.place(item, offset + index)));
+  postPositions({ positions, offset, isComplete: isLast });
+};
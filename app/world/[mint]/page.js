@@ -0,0 +1,28 @@
+import { notFound } from 'next/navigation';
+import World from '../../components/World';
+import { getToken, getTokens } from '../../../lib/tokens';
+
+export function generateStaticParams() {
+  return getTokens().map((token) => ({ mint: token.mint }));
+}
+
+export async function generateMetadata({ params }) {
+  const { mint } = await params;
+  const token = getToken(mint);
+  if (!token) return {};
+
+  return {
+    title: `${token.name} • $${token.ticker}`,
+    description: `With every $${token.ticker} buy, a degen arises`,
+  };
+}
+
+export default async function WorldPage({ params }) {
+  const { mint } = await params;
+  const token = getToken(mint);
+  if (!token) {
+    notFound();
+  }
+
+  return <World token={token} />;
+}
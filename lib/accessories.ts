@@ -0,0 +1,121 @@
+/**
+ * Accessories are extra layers drawn on a character: hats, glasses, held
+ * items, badges and auras. They come in trait packs like bodies and heads (see
+ * scripts/build-svg-assets.mjs for the manifest fields). Each one is worn on a
+ * point of the head or the body, so it follows that part wherever it's drawn.
+ *
+ * Accessories with an `unlock` are earned, and worn by every holder who meets
+ * it. The others are rolled from the address: each has a `chance` of being
+ * the one a character is born with, and a character wears at most one of
+ * them, unless an earned accessory takes its slot.
+ */
+
+export type AccessorySlot = 'aura' | 'held' | 'badge' | 'glasses' | 'hat'
+
+export const ACCESSORY_SLOTS: AccessorySlot[] = ['aura', 'held', 'badge', 'glasses', 'hat'];
+
+export type Unlock = 'top-10' | 'og'
+
+export const UNLOCKS: Unlock[] = ['top-10', 'og'];
+
+// Points accessories are worn on, as `<part>.<name>`
+export type AttachPoint = 'head.top' | 'head.eyes' | 'body.chest' | 'body.hand' | 'body.center'
+
+export type Point = { x: number; y: number }
+
+/**
+ * Where each point is, in the 300×300 space every part is drawn in. Heads and
+ * bodies whose art puts it elsewhere say so in their `points`. Accessories are
+ * drawn around the default position of their point.
+ */
+export const DEFAULT_POINTS: Record<AttachPoint, Point> = {
+  'head.top': { x: 160, y: 30 },
+  'head.eyes': { x: 160, y: 58 },
+  'body.chest': { x: 158, y: 118 },
+  'body.hand': { x: 215, y: 130 },
+  'body.center': { x: 158, y: 150 },
+};
+
+// Layers are drawn from lowest to highest. Accessories below the body's go behind it
+export const BODY_LAYER = 0;
+export const HEAD_LAYER = 10;
+
+// Parts are 300 units across, drawn 1080 character units high
+export const PART_SCALE = 1080 / 300;
+
+// Holders at or above this rank by bag size meet `top-10`
+export const TOP_HOLDER_RANK = 10;
+
+export type AccessoryEntry = {
+  // Key of the accessory's tree in app/svg/assets.json
+  id: string
+  slot: AccessorySlot
+  on: AttachPoint
+  layer: number
+  // Odds of being the accessory a character is born with, unless it's earned
+  chance?: number
+  unlock?: Unlock
+}
+
+/**
+ * Where a wallet stands among the holders: its rank by bag size (1 is the
+ * largest) and whether it was in the token's first snapshot.
+ */
+export type HolderStanding = {
+  rank?: number
+  og?: boolean
+}
+
+export type AccessoryLayer = {
+  id: string
+  slot: AccessorySlot
+  layer: number
+  // Part whose transform it's drawn with, and the offset from it in character units
+  part: 'head' | 'body'
+  offset: Point
+}
+
+export function isUnlocked(unlock: Unlock, { rank, og }: HolderStanding = {}) {
+  switch (unlock) {
+    case 'top-10':
+      return rank !== undefined && rank <= TOP_HOLDER_RANK;
+    case 'og':
+      return !!og;
+  }
+}
+
+/**
+ * The standing of each of `holders` (landmarks left out): rank by share of the
+ * supply, largest first, ties by address.
+ */
+export function holderStandings(holders: { owner: string; share: number; og?: boolean }[]) {
+  const standings = new Map<string, HolderStanding>();
+  [...holders]
+    .sort((a, b) => b.share - a.share || (a.owner < b.owner ? -1 : 1))
+    .forEach(({ owner, og }, index) => {
+      standings.set(owner, og ? { rank: index + 1, og } : { rank: index + 1 });
+    });
+  return standings;
+}
+
+/**
+ * `accessory` placed on the parts it's worn with. `points` are those of the
+ * head and body, where their manifests moved them.
+ */
+export function placeAccessory(
+  { id, slot, on, layer }: AccessoryEntry,
+  points: { head?: Partial<Record<AttachPoint, Point>>; body?: Partial<Record<AttachPoint, Point>> }
+): AccessoryLayer {
+  const part = on.startsWith('head.') ? 'head' : 'body';
+  const position = points[part]?.[on] ?? DEFAULT_POINTS[on];
+  return {
+    id,
+    slot,
+    layer,
+    part,
+    offset: {
+      x: (position.x - DEFAULT_POINTS[on].x) * PART_SCALE,
+      y: (position.y - DEFAULT_POINTS[on].y) * PART_SCALE,
+    },
+  };
+}
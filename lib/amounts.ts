@@ -0,0 +1,46 @@
+/**
+ * Exact arithmetic on raw token amounts.
+ *
+ * Balances are `bigint` base units and can exceed what a float holds exactly,
+ * so nothing here goes through `Number` until the very end, and only for values
+ * that are already small (like a 0-1 size ratio).
+ */
+
+const ZERO = BigInt(0);
+const TEN = BigInt(10);
+
+// Sort comparator putting the largest amount first
+export function compareAmountsDesc(a: bigint, b: bigint) {
+  return a > b ? -1 : a < b ? 1 : 0;
+}
+
+/**
+ * Renders `amount` base units as a decimal string with `decimals` places,
+ * trailing zeros trimmed: `formatUnits(1500000n, 6) === '1.5'`.
+ */
+export function formatUnits(amount: bigint, decimals: number) {
+  const negative = amount < ZERO;
+  const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * `amount` as a percentage of `total`, as a decimal string truncated to
+ * `places` decimal places.
+ */
+export function percentOf(amount: bigint, total: bigint, places = 6) {
+  if (total <= ZERO) return '0';
+  const scaled = (amount * BigInt(100) * TEN ** BigInt(places)) / total;
+  return formatUnits(scaled, places);
+}
+
+/**
+ * `amount / max` as a number, accurate to `1 / resolution` however large the
+ * amounts are. Meant for 0-1 ratios such as character sizes.
+ */
+export function ratio(amount: bigint, max: bigint, resolution = 1_000_000_000) {
+  if (max <= ZERO) return 0;
+  return Number((amount * BigInt(resolution)) / max) / resolution;
+}
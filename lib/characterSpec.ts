@@ -0,0 +1,349 @@
+import randomColor from 'randomcolor'
+import traitWeights from '../config/traits.json'
+import { getMood, MOOD_HEADS, TEMPERAMENTS, type HolderBehaviour, type Mood, type Temperament } from './mood'
+import {
+  getTraitRolls,
+  LEGACY_TRAIT_SEED_VERSION,
+  type TraitSeedVersion,
+} from './traits'
+import { accessoryChances, DEFAULT_TRAIT_PACKS, getTraitCatalog, partWeights } from './traitPacks'
+import { isUnlocked, placeAccessory, type AccessoryLayer, type HolderStanding } from './accessories'
+
+/**
+ * What a wallet's character looks like, worked out from its address and bag
+ * size alone. The plane, the layout worker and the API all go through
+ * `getCharacterSpec`, so a wallet looks the same wherever it's drawn. Only
+ * its mood (see lib/mood.ts) also depends on what the wallet does with its bag,
+ * and its earned accessories (see lib/accessories.ts) on where it stands among
+ * the holders.
+ */
+
+export type { Mood, Temperament } from './mood'
+
+/**
+ * Relative odds of each temperament, from `mood` in `config/traits.json`.
+ * Bodies and heads have theirs in the manifest of their trait pack (see
+ * lib/traitPacks.ts). Changing a weight changes which characters wallets get,
+ * just like a new trait seed version would.
+ */
+export const TEMPERAMENT_WEIGHTS = (traitWeights as { mood: Record<Temperament, number> }).mood;
+
+// Width and height, in unscaled character units, of the area a character
+// covers with its speech bubble and address label
+export const CHARACTER_FOOTPRINT = 1200;
+
+// Landmark signposts are drawn at a fixed scale, whatever their balance
+export const LANDMARK_SCALE = 2;
+export const LANDMARK_FOOTPRINT = { width: 900, height: 1000 };
+
+// Longest speech bubble line, in characters
+export const SPEECH_LINE_LENGTH = 15;
+
+// `$WOD` stands for the ticker of the token the character belongs to
+export const SPEECH_LINES: Record<Mood, string[]> = {
+  happy: [
+    'Bags are mooning',
+    '51% win rate brah!',
+    'I ❤️ memecoins',
+    'I copy trade OSF',
+    'Screw VC coins',
+    'The trenches are calling',
+    "I'am streaming on Pump",
+    'I am a TA god',
+    "I am Binance Listing Intern",
+    "The dev burn 69% of the supply",
+    "King of the hills",
+    'Bull goes mooo 🐂',
+    '69,000% PNL',
+    'I bought $SOL at $8',
+    "megacycle!",
+    'I am the dev',
+    'I Choose rich!',
+    'I am my bag and my bag is me',
+    'Hail to the Kabal!',
+    "🎵Dont you know pump it up🎵",
+    'I am just a chillguy',
+    '🎵I snipe, I pump, I dump it up🎵',
+    'Truth Terminal is my mate',
+    'I am a $WOD whale',
+    'The hat stays on',
+    'I ❤️ $WOD',
+    'I am a cryptofluencer',
+    'ChatGPT created me',
+    'I bought $PNUT at $20k',
+    'Streaming till $100M',
+    'Mr. Siriuss invstooorr',
+    "I was born in the tranches, I'll die in the tranches",
+    'Respect the pump brah',
+    "I'm a pump and dump artist",
+    'I am going to memecon!',
+    "I hold the floor",
+    "I short the tops",
+    "The ticker is $WOD",
+    "I'm in it for the tech",
+    "I'm an insider",
+    'I am an AI agent',
+    'I am a serious investor',
+    'I take profits',
+    'I never sell',
+    "Trust the process",
+    'Bounded!',
+    'GM brah',
+  ],
+  sad: [
+    'Frank just bought',
+    'I hold ETH',
+    'I only buy Becker coins',
+    'Funds are SAFU',
+    '1% float, $1B FDV',
+    'I FOMO at the top',
+    'I long tops',
+    'I short bottoms',
+    'Twenty bandos',
+    'wen Binance',
+    'I always buy the top',
+    'My bag is only Murad coins',
+    'I wish I was Ansem',
+    'I got MEVed',
+    'I am a Cardano community member',
+    'Bitboy is my dad',
+    'I invest in DeFi',
+    "I wish I had Farokh's hairs",
+    'Dev rugged me',
+    'I am an airdrop farmer',
+    'aww! It went to $0',
+    'I round tripped BAYC',
+    'I have a BAYC PFP',
+    'I faded memecoins',
+    'E. Warren is my gf',
+    'I am a cardano dev',
+    'God hates memecoins',
+    'I copy traded Frank',
+    "I am Tate's gf",
+    'Sure, Metamask support, here is my PK',
+    'I am a VC',
+    'I voted Kamala',
+    'Garry Gensler is my dad',
+    'Dev holds 99%',
+    'I am a community member',
+  ],
+  'diamond-hands': [
+    'I never sell',
+    'Zoom out brah',
+    'Held through -90%',
+    'My hands are made of ice',
+    'Selling is for VCs',
+    'See you at $1B',
+    'Been here since day one',
+    'I forgot my seed phrase',
+    '$WOD is my retirement plan',
+    'Dips are for buying',
+  ],
+  'paper-hands': [
+    'I took profits',
+    'Sold the bottom again',
+    'I need to pay rent',
+    'Rotating into $SOL',
+    'It was a good run',
+    "I'll buy back lower",
+    'Dev is selling, so am I',
+    'My wife said sell',
+    'Just a small trim',
+    'Farewell $WOD',
+  ],
+  'fresh-ape': [
+    'Just aped in!',
+    'Is it too late?',
+    'First time in the trenches',
+    'What does $WOD do?',
+    'Saw it on CT',
+    'LFG!',
+    'I bought because of the chart',
+    'Am I early?',
+    'Fresh bags, who dis',
+    'New to $WOD, hi!',
+  ],
+};
+
+export type CharacterSpec = {
+  wallet: string
+  // Bag relative to the largest degen (0-1) and the scale that's drawn at
+  size: number
+  scale: number
+  // Rolled from the address, and what the wallet's behaviour made of it
+  temperament: Temperament
+  mood: Mood
+  // Parts are picked by index in the token's trait catalog; the ids name their art
+  bodyIndex: number
+  bodyId: string
+  // Heads come in sets by mood. Moods without heads of their own wear those
+  // of a temperament
+  headSet: Mood
+  headIndex: number
+  headId: string
+  // The head of the temperament's set, worn when behaviour doesn't say otherwise
+  restingHeadIndex: number
+  // Index in the catalog of the accessory the wallet was born with, if any
+  accessoryIndex: number | null
+  // Everything it wears, born with or earned, lowest layer first
+  accessories: AccessoryLayer[]
+  bodyColor: string
+  colorFamily: ColorFamily
+  speech: string
+  // `speech` wrapped to fit the bubble
+  speechLines: string[]
+  traitSeedVersion: TraitSeedVersion
+}
+
+export type CharacterSpecOptions = {
+  ticker?: string
+  traitSeedVersion?: TraitSeedVersion
+  traitPacks?: string[]
+  // Without it, the mood is the temperament
+  behaviour?: HolderBehaviour
+  now?: number
+  // Without it, no accessories are earned
+  standing?: HolderStanding
+}
+
+export type ColorFamily = 'red' | 'orange' | 'yellow' | 'green' | 'blue' | 'purple' | 'pink' | 'grey'
+
+/**
+ * Index picked by `roll` (0-1) when each index has the given relative weight.
+ * With equal weights it's `Math.floor(roll * weights.length)`.
+ */
+export function pickWeighted(roll: number, weights: number[]) {
+  const total = weights.reduce((acc, weight) => acc + weight, 0);
+  let target = roll * total;
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i];
+    if (target < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+// Colour name of a `#rrggbb` colour, by hue
+export function colorFamily(hex: string): ColorFamily {
+  const [r, g, b] = [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const chroma = max - min;
+  const saturation = chroma === 0 ? 0 : chroma / (1 - Math.abs(2 * lightness - 1));
+  if (saturation < 0.15) return 'grey';
+
+  let hue: number;
+  if (max === r) hue = ((g - b) / chroma + 6) % 6;
+  else if (max === g) hue = (b - r) / chroma + 2;
+  else hue = (r - g) / chroma + 4;
+  hue *= 60;
+
+  if (hue < 15 || hue >= 345) return 'red';
+  if (hue < 45) return 'orange';
+  if (hue < 70) return 'yellow';
+  if (hue < 170) return 'green';
+  if (hue < 250) return 'blue';
+  if (hue < 290) return 'purple';
+  return 'pink';
+}
+
+// Bags map to a 0.8x (smallest) to 2.0x (largest degen) scale
+export function characterScale(size: number) {
+  return 0.8 + Math.pow(size, 2) * 1.2;
+}
+
+export function wrapSpeech(text: string, lineLength = SPEECH_LINE_LENGTH) {
+  const lines: string[] = [];
+  let currentLine = '';
+
+  text.split(' ').forEach((word) => {
+    const testLine = currentLine ? `${currentLine} ${word}` : word;
+    if (testLine.length > lineLength) {
+      lines.push(currentLine);
+      currentLine = word;
+    } else {
+      currentLine = testLine;
+    }
+  });
+  if (currentLine) {
+    lines.push(currentLine);
+  }
+  return lines;
+}
+
+// The colour stays with the temperament, so a change of mood doesn't repaint the body
+function bodyColorOf(temperament: Temperament, colorSeed: number | string): string {
+  return randomColor({ luminosity: temperament === 'happy' ? 'bright' : 'light', seed: colorSeed });
+}
+
+function temperamentOf(moodRoll: number): Temperament {
+  return TEMPERAMENTS[pickWeighted(moodRoll, TEMPERAMENTS.map((name) => TEMPERAMENT_WEIGHTS[name]))];
+}
+
+/**
+ * Only the body colour of `wallet`'s character, for drawing it too small to
+ * need the rest of its spec. Same as `getCharacterSpec(...).bodyColor`.
+ */
+export function getBodyColor(wallet: string, { traitSeedVersion = LEGACY_TRAIT_SEED_VERSION }: CharacterSpecOptions = {}) {
+  const rolls = getTraitRolls(wallet, traitSeedVersion);
+  return bodyColorOf(temperamentOf(rolls.mood), rolls.color);
+}
+
+export function getCharacterSpec(
+  wallet: string,
+  size: number,
+  {
+    ticker = 'WOD',
+    traitSeedVersion = LEGACY_TRAIT_SEED_VERSION,
+    traitPacks = DEFAULT_TRAIT_PACKS,
+    behaviour,
+    now,
+    standing,
+  }: CharacterSpecOptions = {}
+): CharacterSpec {
+  const catalog = getTraitCatalog(traitPacks);
+  const rolls = getTraitRolls(wallet, traitSeedVersion);
+  const temperament = temperamentOf(rolls.mood);
+  const mood = getMood(temperament, behaviour, now);
+  const headSet = catalog.heads[mood]?.length ? mood : MOOD_HEADS[mood];
+  const bodyIndex = pickWeighted(rolls.body, partWeights(catalog.bodies));
+  // getTraitCatalog makes sure every temperament has heads
+  const heads = catalog.heads[headSet] ?? [];
+  const headIndex = pickWeighted(rolls.head, partWeights(heads));
+  const lines = SPEECH_LINES[mood];
+  const speech = lines[Math.floor(rolls.speech * lines.length)].replace(/\$WOD/g, `$${ticker}`);
+  // The born accessory is picked against the odds of wearing none
+  const chances = accessoryChances(catalog.accessories);
+  const picked = pickWeighted(rolls.accessory, [...chances, Math.max(0, 1 - chances.reduce((acc, chance) => acc + chance, 0))]);
+  const accessoryIndex = picked < chances.length ? picked : null;
+
+  // Earned accessories push a born one out of their slot
+  const earned = catalog.accessories.filter(({ unlock }) => unlock && isUnlocked(unlock, standing));
+  const born = accessoryIndex === null ? null : catalog.accessories[accessoryIndex];
+  const worn = born && !earned.some(({ slot }) => slot === born.slot) ? [...earned, born] : earned;
+  const points = { body: catalog.bodies[bodyIndex].points, head: heads[headIndex].points };
+  const accessories = worn.map((entry) => placeAccessory(entry, points)).sort((a, b) => a.layer - b.layer);
+
+  const bodyColor = bodyColorOf(temperament, rolls.color);
+
+  return {
+    wallet,
+    size,
+    scale: characterScale(size),
+    temperament,
+    mood,
+    bodyIndex,
+    bodyId: catalog.bodies[bodyIndex].id,
+    headSet,
+    headIndex,
+    headId: heads[headIndex].id,
+    restingHeadIndex: pickWeighted(rolls.head, partWeights(catalog.heads[temperament])),
+    accessoryIndex,
+    accessories,
+    bodyColor,
+    colorFamily: colorFamily(bodyColor),
+    speech,
+    speechLines: wrapSpeech(speech),
+    traitSeedVersion,
+  };
+}
@@ -0,0 +1,102 @@
+import { BODY_LAYER, HEAD_LAYER } from './accessories'
+import type { CharacterSpec } from './characterSpec'
+import { escapeXml, serialiseSvg, SVG_ASSETS, type SvgAssets, type SvgNode } from './svgAssets'
+
+/**
+ * Draws one character as a standalone SVG document, without a browser, e.g.
+ * for holders who want their degen as a PFP. The composition follows the
+ * plane's `drawCharacter`: same parts, offsets, colour and speech bubble.
+ */
+
+export type CharacterSvgOptions = {
+  // Width and height of the image, in pixels
+  size?: number
+  // Top and bottom colours of a background gradient; transparent without one
+  background?: [string, string] | null
+  bubble?: boolean
+}
+
+// The plane's unscaled character unit
+const BASE_SIZE = 400;
+
+// The plane draws parts as nested SVGs the size of its viewport, so they are
+// laid out the same way here
+const PART_VIEWPORT = { width: 1920, height: 1080 };
+
+// Area of the character, in plane units, with and without its speech bubble
+// (square, so the image works as a PFP). Both leave room for a hat
+const FRAME = { x: -375, y: -465, size: 1200 };
+const FRAME_WITHOUT_BUBBLE = { x: -435, y: -395, size: 1080 };
+
+export const MIN_IMAGE_SIZE = 64;
+export const MAX_IMAGE_SIZE = 1024;
+export const DEFAULT_IMAGE_SIZE = 512;
+
+// A part as a nested SVG, with `attributes` added to its root
+function embedPart(svg: SvgNode, attributes: Record<string, string> = {}) {
+  return serialiseSvg(svg, { width: PART_VIEWPORT.width, height: PART_VIEWPORT.height, ...attributes });
+}
+
+export function clampImageSize(size: number) {
+  if (!Number.isFinite(size)) return DEFAULT_IMAGE_SIZE;
+  return Math.round(Math.min(MAX_IMAGE_SIZE, Math.max(MIN_IMAGE_SIZE, size)));
+}
+
+export function renderCharacterSvg(
+  spec: CharacterSpec,
+  { size = DEFAULT_IMAGE_SIZE, background = null, bubble = true }: CharacterSvgOptions = {},
+  assets: SvgAssets = SVG_ASSETS
+) {
+  const frame = bubble ? FRAME : FRAME_WITHOUT_BUBBLE;
+  const pixels = clampImageSize(size);
+  const lineCount = spec.speechLines.length;
+  const bubbleScaleY = 1 + (lineCount - 1) * 0.5;
+  const bubbleYOffset = (lineCount - 1) * 30;
+  const partOrigin = `translate(${-BASE_SIZE * 2}, ${-BASE_SIZE})`;
+
+  const layers: string[] = [];
+  if (background) {
+    layers.push(
+      '<defs><linearGradient id="background" x1="0" y1="0" x2="0" y2="1">' +
+        `<stop offset="0" stop-color="${escapeXml(background[0])}"/>` +
+        `<stop offset="1" stop-color="${escapeXml(background[1])}"/>` +
+        '</linearGradient></defs>',
+      `<rect x="${frame.x}" y="${frame.y}" width="${frame.size}" height="${frame.size}" fill="url(#background)"/>`
+    );
+  }
+  // Body, head and accessories, lowest layer first. Accessories take the body colour
+  const color = escapeXml(spec.bodyColor);
+  const parts = [
+    {
+      layer: BODY_LAYER,
+      markup: `<g transform="${partOrigin}" color="${color}">${embedPart(assets.parts[spec.bodyId], { fill: 'currentColor' })}</g>`,
+    },
+    { layer: HEAD_LAYER, markup: `<g transform="${partOrigin}">${embedPart(assets.parts[spec.headId])}</g>` },
+    ...spec.accessories.map(({ id, layer, offset }) => ({
+      layer,
+      markup:
+        `<g transform="translate(${-BASE_SIZE * 2 + offset.x}, ${-BASE_SIZE + offset.y})" color="${color}">` +
+        `${embedPart(assets.parts[id])}</g>`,
+    })),
+  ];
+  parts.sort((a, b) => a.layer - b.layer).forEach(({ markup }) => layers.push(markup));
+  if (bubble) {
+    const lines = spec.speechLines
+      .map((line, index) => `<tspan x="0" dy="${index === 0 ? '0' : '1.2em'}">${escapeXml(line)}</tspan>`)
+      .join('');
+    layers.push(
+      `<g transform="translate(${-BASE_SIZE * 0.8}, ${-(BASE_SIZE + bubbleYOffset)}) scale(0.6, ${0.6 * bubbleScaleY})">` +
+        embedPart(assets.speech[0].svg, { fill: 'white', stroke: 'black', 'stroke-width': '2' }) +
+        '</g>',
+      `<g transform="translate(${BASE_SIZE * 1.5}, ${-BASE_SIZE * 0.85})">` +
+        '<text y="0" text-anchor="middle" dominant-baseline="middle" font-size="54px" fill="black" ' +
+        `font-family="'Permanent Marker', cursive" letter-spacing="1px">${lines}</text>` +
+        '</g>'
+    );
+  }
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels}" height="${pixels}" ` +
+    `viewBox="${frame.x} ${frame.y} ${frame.size} ${frame.size}">${layers.join('')}</svg>`
+  );
+}
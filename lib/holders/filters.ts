@@ -0,0 +1,73 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import {
+  KNOWN_LABELS,
+  getBondingCurveAddress,
+  isProgramOwned,
+  type HolderCategory,
+  type HolderLabel,
+} from './labels'
+
+export type ExcludedMode = 'hide' | 'landmark'
+
+export type HolderFilter = {
+  mode: ExcludedMode
+  // Returns the label of a holder that shouldn't count as a degen, if any
+  classify(owner: string): HolderLabel | null
+}
+
+const DEFAULT_EXCLUDED_CATEGORIES: HolderCategory[] = ['pool', 'burn', 'exchange', 'custom'];
+
+/**
+ * Builds the holder filter for `mint` from the environment:
+ *
+ * - `HOLDER_DENYLIST`: comma-separated addresses to exclude, each optionally
+ *   followed by `=Label` (e.g. `7oUZ...LKZe=Dev wallet`).
+ * - `HOLDER_LABELS_FILE`: JSON file of extra `{ [address]: { label, category } }`.
+ * - `HOLDER_EXCLUDE_CATEGORIES`: which categories to exclude, defaulting to
+ *   `pool,burn,exchange,custom`. Add `program` to also drop every PDA owner.
+ * - `HOLDER_EXCLUDED_MODE`: `hide` (default) drops excluded wallets, `landmark`
+ *   keeps them in the list flagged as landmarks.
+ */
+export async function getHolderFilter(
+  mint: string,
+  env: NodeJS.ProcessEnv = process.env
+): Promise<HolderFilter> {
+  const labels: Record<string, HolderLabel> = {
+    ...KNOWN_LABELS,
+    [getBondingCurveAddress(mint)]: { label: 'pump.fun bonding curve', category: 'pool' },
+  };
+
+  if (env.HOLDER_LABELS_FILE) {
+    const file = path.resolve(process.cwd(), env.HOLDER_LABELS_FILE);
+    Object.assign(labels, JSON.parse(await fs.readFile(file, 'utf8')));
+  }
+
+  (env.HOLDER_DENYLIST || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [address, label] = entry.split('=');
+      labels[address.trim()] = { label: label?.trim() || 'Excluded wallet', category: 'custom' };
+    });
+
+  const categories = env.HOLDER_EXCLUDE_CATEGORIES
+    ? (env.HOLDER_EXCLUDE_CATEGORIES.split(',').map((category) => category.trim()) as HolderCategory[])
+    : DEFAULT_EXCLUDED_CATEGORIES;
+  const excludeProgramOwned = categories.includes('program');
+
+  return {
+    mode: env.HOLDER_EXCLUDED_MODE === 'landmark' ? 'landmark' : 'hide',
+    classify(owner) {
+      const label = labels[owner];
+      if (label) {
+        return categories.includes(label.category) ? label : null;
+      }
+      if (excludeProgramOwned && isProgramOwned(owner)) {
+        return { label: 'Program account', category: 'program' };
+      }
+      return null;
+    },
+  };
+}
@@ -0,0 +1,131 @@
+import { createRpcProvider } from './providers/rpc'
+import { createFixtureProvider } from './providers/fixture'
+import { createSyntheticProvider, type SyntheticDistribution } from './providers/synthetic'
+import type { HolderFilter } from './filters'
+import type { HolderLabel } from './labels'
+import type { Holder, HolderProvider, SlottedHolder } from './types'
+import { getToken } from '../tokens'
+import { compareAmountsDesc, formatUnits, percentOf, ratio } from '../amounts'
+
+export type { Holder, HolderProvider, MintInfo, RawHolder, SlottedHolder, TokenProgram } from './types'
+
+// Used when the mint isn't known (CSV fixtures, older snapshots): a pump.fun
+// launch of 1B tokens with 6 decimals
+export const DEFAULT_TOKEN = {
+  supply: BigInt(1_000_000_000_000_000),
+  decimals: 6,
+};
+const SYNTHETIC_DEFAULT_HOLDERS = 1000;
+
+/**
+ * Picks the holder provider named by `HOLDER_PROVIDER` (`rpc`, `fixture` or
+ * `synthetic`, defaulting to `rpc`) and configures it for `mint` from the
+ * environment and the token's config.
+ */
+export function getHolderProvider(mint: string, env: NodeJS.ProcessEnv = process.env): HolderProvider {
+  const kind = env.HOLDER_PROVIDER || 'rpc';
+
+  switch (kind) {
+    case 'rpc':
+      return createRpcProvider({ endpoint: getRpcEndpoint(env), mint });
+    case 'fixture':
+      return createFixtureProvider({
+        file: getToken(mint)?.fixture || env.HOLDER_FIXTURE || 'fixtures/holders.sample.json',
+      });
+    case 'synthetic':
+      return createSyntheticProvider({
+        count: Number(env.SYNTHETIC_HOLDERS) || SYNTHETIC_DEFAULT_HOLDERS,
+        distribution: (env.SYNTHETIC_DISTRIBUTION || 'pareto') as SyntheticDistribution,
+        // Mixing in the mint gives every hosted world its own crowd
+        seed: (Number(env.SYNTHETIC_SEED) || 1) + hashString(mint),
+        churn: Number(env.SYNTHETIC_CHURN) || 0,
+      });
+    default:
+      throw new Error(`Unknown HOLDER_PROVIDER "${kind}"`);
+  }
+}
+
+/**
+ * The JSON-RPC endpoint to scan holders through: `RPC_URL`, or `RPC_API_KEY`
+ * appended to `RPC_ENDPOINT` for providers that take the key in the path
+ * (QuickNode's `https://<name>.quiknode.pro/<key>/`).
+ */
+export function getRpcEndpoint(env: NodeJS.ProcessEnv = process.env): string {
+  if (env.RPC_URL) {
+    return env.RPC_URL;
+  }
+  if (!env.RPC_API_KEY) {
+    throw new Error('HOLDER_PROVIDER=rpc needs RPC_URL, or RPC_ENDPOINT and RPC_API_KEY');
+  }
+  if (!env.RPC_ENDPOINT) {
+    throw new Error('RPC_API_KEY is set but RPC_ENDPOINT, the URL it is appended to, is not');
+  }
+  return `${env.RPC_ENDPOINT.replace(/\/+$/, '')}/${env.RPC_API_KEY}/`;
+}
+
+function hashString(value: string) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (Math.imul(hash, 31) + value.charCodeAt(i)) | 0;
+  }
+  return hash >>> 0;
+}
+
+type ListToken = {
+  supply: bigint
+  decimals: number
+}
+
+/**
+ * Formats one wallet for the holder list. `maxAmount` is the bag sizes are
+ * relative to, i.e. the largest degen's.
+ */
+export function toHolder(
+  { owner, amount, slot, since, og }: SlottedHolder,
+  { supply, decimals }: ListToken,
+  maxAmount: bigint
+): Holder {
+  const holder: Holder = {
+    owner,
+    amount: amount.toString(),
+    uiAmount: formatUnits(amount, decimals),
+    percentage: percentOf(amount, supply),
+    normalizedSize: Math.min(1, ratio(amount, maxAmount)),
+  };
+  if (slot !== undefined) holder.slot = slot;
+  if (since !== undefined) holder.since = since;
+  if (og) holder.og = true;
+  return holder;
+}
+
+/**
+ * Turns aggregated balances into the list the plane renders, largest first.
+ *
+ * Wallets the filter classifies (pools, burn address, exchanges, denylisted
+ * wallets) are dropped, or with `mode: 'landmark'` moved to the front of the
+ * list and flagged. Sizes are normalised against the largest remaining degen,
+ * so a pool holding half the supply doesn't shrink everyone else to a dot.
+ */
+export function buildHolderList(
+  rawHolders: SlottedHolder[],
+  filter?: HolderFilter,
+  token: ListToken = DEFAULT_TOKEN
+): Holder[] {
+  const sorted = rawHolders
+    .map((holder) => ({ ...holder, label: filter?.classify(holder.owner) ?? null }))
+    .sort((a, b) => compareAmountsDesc(a.amount, b.amount));
+
+  const degens = sorted.filter((holder) => !holder.label);
+  const landmarks = filter?.mode === 'landmark' ? sorted.filter((holder) => holder.label) : [];
+  const maxAmount = degens.length ? degens[0].amount : BigInt(1);
+
+  return [
+    ...landmarks.map((holder) => ({
+      ...toHolder(holder, token, maxAmount),
+      normalizedSize: 1,
+      landmark: holder.label as HolderLabel,
+    })),
+    // The largest degen gets a size of 1.0
+    ...degens.map((holder) => toHolder(holder, token, maxAmount)),
+  ];
+}
@@ -0,0 +1,43 @@
+import { PublicKey } from '@solana/web3.js'
+import type { HolderLabel } from '../schema'
+
+export type { HolderCategory, HolderLabel } from '../schema'
+
+export const PUMP_FUN_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P')
+
+/**
+ * Wallets that hold tokens but aren't degens: AMM authorities, the incinerator
+ * and exchange hot wallets. Keyed by owner address.
+ */
+export const KNOWN_LABELS: Record<string, HolderLabel> = {
+  '1nc1nerator11111111111111111111111111111111': { label: 'Burn address', category: 'burn' },
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': { label: 'Raydium pool', category: 'pool' },
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL': { label: 'Raydium CPMM pool', category: 'pool' },
+  '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg': { label: 'pump.fun migration', category: 'pool' },
+  '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9': { label: 'Binance', category: 'exchange' },
+  '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM': { label: 'Binance', category: 'exchange' },
+  'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS': { label: 'Coinbase', category: 'exchange' },
+  '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD': { label: 'OKX', category: 'exchange' },
+  'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2': { label: 'Bybit', category: 'exchange' },
+};
+
+/**
+ * The pump.fun bonding curve is a PDA per mint, so it can't be listed above;
+ * derive it instead.
+ */
+export function getBondingCurveAddress(mint: string) {
+  const [bondingCurve] = PublicKey.findProgramAddressSync(
+    [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+    PUMP_FUN_PROGRAM_ID
+  );
+  return bondingCurve.toBase58();
+}
+
+// Off-curve owners are PDAs, i.e. accounts controlled by a program rather than a person
+export function isProgramOwned(owner: string) {
+  try {
+    return !PublicKey.isOnCurve(new PublicKey(owner).toBytes());
+  } catch {
+    return false;
+  }
+}
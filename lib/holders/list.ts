@@ -0,0 +1,41 @@
+import { buildHolderList, DEFAULT_TOKEN } from '.'
+import { getHolderFilter } from './filters'
+import { getLatestSnapshot, getOgOwners, getSnapshot, getSnapshotStore, snapshotHolders, type Snapshot } from '../snapshots'
+import type { Holder } from './types'
+
+export class SnapshotNotFoundError extends Error {}
+
+export function snapshotListToken(snapshot: Snapshot) {
+  return snapshot.token
+    ? { supply: BigInt(snapshot.token.supply), decimals: snapshot.token.decimals }
+    : DEFAULT_TOKEN;
+}
+
+// Built lists hang off the snapshot they came from and go away with it
+const builtLists = new WeakMap<Snapshot, Holder[]>();
+
+/**
+ * Loads the holder list of `mint` the plane renders, either from the given
+ * snapshot or from the latest one (taking a fresh snapshot when it's stale).
+ * Wallets from the first snapshot are flagged as OGs.
+ */
+export async function loadHolderList({ mint, snapshotId }: { mint: string; snapshotId?: string }) {
+  const store = getSnapshotStore(mint);
+  const snapshot = snapshotId
+    ? await getSnapshot(mint, snapshotId, store)
+    : await getLatestSnapshot(mint, store);
+  if (!snapshot) {
+    throw new SnapshotNotFoundError(`Snapshot "${snapshotId}" not found`);
+  }
+
+  let holders = builtLists.get(snapshot);
+  if (!holders) {
+    holders = buildHolderList(
+      snapshotHolders(snapshot, await getOgOwners(mint, store)),
+      await getHolderFilter(mint),
+      snapshotListToken(snapshot)
+    );
+    builtLists.set(snapshot, holders);
+  }
+  return { snapshot, holders };
+}
@@ -0,0 +1,32 @@
+export const DEFAULT_PAGE_SIZE = 1000;
+export const MAX_PAGE_SIZE = 5000;
+
+export class InvalidCursorError extends Error {}
+
+/**
+ * Cursors are opaque to clients: a hex-encoded offset into the sorted
+ * holder list. They stay valid for as long as the cached list they were issued
+ * against.
+ */
+export function encodeCursor(offset: number) {
+  return Buffer.from(`o:${offset}`).toString('hex');
+}
+
+export function decodeCursor(cursor: string) {
+  const match = /^o:(\d+)$/.exec(Buffer.from(cursor, 'hex').toString());
+  if (!match) {
+    throw new InvalidCursorError(`Invalid cursor "${cursor}"`);
+  }
+  return Number(match[1]);
+}
+
+export function paginate<T>(items: T[], { cursor, limit }: { cursor?: string; limit?: number }) {
+  const offset = cursor ? decodeCursor(cursor) : 0;
+  const pageSize = Math.min(Math.max(1, limit || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const end = offset + pageSize;
+
+  return {
+    items: items.slice(offset, end),
+    nextCursor: end < items.length ? encodeCursor(end) : null,
+  };
+}
@@ -0,0 +1,76 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import type { HolderProvider, MintInfo, RawHolder } from '../types'
+
+type FixtureProviderOptions = {
+  file: string
+}
+
+/**
+ * Reads holders from a local JSON or CSV file so the plane can be developed
+ * without an RPC key.
+ *
+ * JSON files hold either an array of `{ owner, amount }` or an object with a
+ * `holders` array (the shape `/api/hello` returns), optionally next to the
+ * mint's `supply` and `decimals`. CSV files have one `owner,amount` pair per
+ * line; a header line is skipped.
+ */
+export function createFixtureProvider({ file }: FixtureProviderOptions): HolderProvider {
+  const resolved = path.resolve(process.cwd(), file);
+
+  return {
+    name: 'fixture',
+    async getMintInfo() {
+      if (resolved.endsWith('.csv')) return null;
+
+      const parsed = JSON.parse(await fs.readFile(resolved, 'utf8'));
+      if (Array.isArray(parsed) || parsed.supply === undefined) return null;
+
+      const info: MintInfo = {
+        supply: BigInt(parsed.supply),
+        decimals: Number(parsed.decimals ?? 0),
+        program: parsed.program === 'token-2022' ? 'token-2022' : 'spl-token',
+        extensions: parsed.extensions ?? [],
+      };
+      return info;
+    },
+    async getHolders() {
+      const contents = await fs.readFile(resolved, 'utf8');
+      const rows = resolved.endsWith('.csv') ? parseCsv(contents) : parseJson(contents);
+      return aggregate(rows);
+    },
+  };
+}
+
+type FixtureRow = { owner: string; amount: string | number }
+
+function parseJson(contents: string): FixtureRow[] {
+  const parsed = JSON.parse(contents);
+  const rows = Array.isArray(parsed) ? parsed : parsed.holders;
+  if (!Array.isArray(rows)) {
+    throw new Error('Holder fixture must be an array or an object with a "holders" array');
+  }
+  return rows;
+}
+
+function parseCsv(contents: string): FixtureRow[] {
+  return contents
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => line.split(',').map((cell) => cell.trim()))
+    .filter(([, amount]) => /^\d+$/.test(amount ?? ''))
+    .map(([owner, amount]) => ({ owner, amount }));
+}
+
+// Fixtures may list the same owner more than once, like real token accounts do
+function aggregate(rows: FixtureRow[]): RawHolder[] {
+  const holdersMap = new Map<string, bigint>();
+  rows.forEach(({ owner, amount }) => {
+    const value = BigInt(amount);
+    if (value > 0) {
+      holdersMap.set(owner, (holdersMap.get(owner) || BigInt(0)) + value);
+    }
+  });
+  return Array.from(holdersMap, ([owner, amount]) => ({ owner, amount }));
+}
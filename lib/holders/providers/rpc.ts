@@ -0,0 +1,105 @@
+import { Connection, PublicKey, type GetProgramAccountsFilter } from '@solana/web3.js'
+import {
+  ACCOUNT_SIZE,
+  ExtensionType,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  getExtensionTypes,
+  unpackAccount,
+  unpackMint,
+} from '@solana/spl-token'
+import type { HolderProvider, MintInfo, RawHolder } from '../types'
+
+type RpcProviderOptions = {
+  endpoint: string
+  mint: string
+}
+
+/**
+ * Scans every token account of `mint` through a JSON-RPC endpoint and sums the
+ * balances per owner.
+ *
+ * The mint account is read first to find which program owns it. Classic SPL
+ * token accounts all have the same size, but Token-2022 accounts grow with
+ * their extensions, so those are matched on the mint alone and decoded with
+ * the extension-aware layout.
+ */
+export function createRpcProvider({ endpoint, mint }: RpcProviderOptions): HolderProvider {
+  const connection = new Connection(endpoint)
+  const mintAddress = new PublicKey(mint)
+  let mintAccount: Promise<{ programId: PublicKey; info: MintInfo }> | null = null;
+
+  const loadMint = () => {
+    if (!mintAccount) {
+      mintAccount = (async () => {
+        const account = await connection.getAccountInfo(mintAddress);
+        if (!account) {
+          throw new Error(`Mint ${mint} not found`);
+        }
+
+        const programId = account.owner;
+        if (!programId.equals(TOKEN_PROGRAM_ID) && !programId.equals(TOKEN_2022_PROGRAM_ID)) {
+          throw new Error(`Mint ${mint} is owned by ${programId.toBase58()}, not a token program`);
+        }
+
+        const decoded = unpackMint(mintAddress, account, programId);
+        return {
+          programId,
+          info: {
+            supply: decoded.supply,
+            decimals: decoded.decimals,
+            program: programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'spl-token',
+            extensions: getExtensionTypes(decoded.tlvData).map((type) => ExtensionType[type]),
+          },
+        };
+      })();
+      // Let the next call retry instead of caching a failed lookup
+      mintAccount.catch(() => {
+        mintAccount = null;
+      });
+    }
+    return mintAccount;
+  };
+
+  return {
+    name: 'rpc',
+    async getMintInfo() {
+      return (await loadMint()).info;
+    },
+    async getHolders() {
+      const { programId } = await loadMint();
+
+      const filters: GetProgramAccountsFilter[] = [
+        {
+          memcmp: {
+            offset: 0,
+            bytes: mintAddress.toBase58(),
+          },
+        },
+      ];
+      if (programId.equals(TOKEN_PROGRAM_ID)) {
+        filters.unshift({ dataSize: ACCOUNT_SIZE });
+      }
+
+      const tokenAccounts = await connection.getProgramAccounts(programId, { filters });
+
+      // Aggregate amounts for each owner
+      const holdersMap = new Map<string, bigint>();
+      tokenAccounts.forEach(({ pubkey, account }) => {
+        let decoded;
+        try {
+          decoded = unpackAccount(pubkey, account, programId);
+        } catch {
+          // Not a token account (e.g. a Token-2022 multisig that happens to match)
+          return;
+        }
+        if (decoded.amount > 0) {
+          const owner = decoded.owner.toBase58();
+          holdersMap.set(owner, (holdersMap.get(owner) || BigInt(0)) + decoded.amount);
+        }
+      });
+
+      return Array.from(holdersMap, ([owner, amount]): RawHolder => ({ owner, amount }));
+    },
+  };
+}
@@ -0,0 +1,94 @@
+import { PublicKey } from '@solana/web3.js'
+import { mulberry32 } from '../../random'
+import type { HolderProvider, RawHolder } from '../types'
+
+export type SyntheticDistribution = 'pareto' | 'exponential' | 'uniform'
+
+type SyntheticProviderOptions = {
+  count: number
+  distribution?: SyntheticDistribution
+  seed?: number
+  supply?: bigint
+  // Share of wallets replaced per step, 0 for a frozen holder base
+  churn?: number
+  stepMs?: number
+  now?: () => number
+}
+
+/**
+ * Generates `count` fake holders whose balances follow the chosen distribution.
+ * The same seed always yields the same wallets and amounts, so screenshots and
+ * layout tweaks are reproducible.
+ *
+ * With `churn`, the holder base moves on every `stepMs`: each slot is handed to
+ * a new wallet every ~1/churn steps and bags swell and shrink in between, which
+ * gives snapshots, diffs and playback something to show without a live chain.
+ */
+export function createSyntheticProvider({
+  count,
+  distribution = 'pareto',
+  seed = 1,
+  supply = BigInt(1_000_000_000_000_000),
+  churn = 0,
+  stepMs = 60_000,
+  now = Date.now,
+}: SyntheticProviderOptions): HolderProvider {
+  return {
+    name: 'synthetic',
+    async getMintInfo() {
+      // Shaped like a pump.fun launch: 1B tokens with 6 decimals
+      return { supply, decimals: 6, program: 'spl-token', extensions: [] };
+    },
+    async getHolders() {
+      const rand = mulberry32(seed);
+      const sample = samplers[distribution];
+      if (!sample) {
+        throw new Error(`Unknown synthetic distribution "${distribution}"`);
+      }
+
+      const weights = Array.from({ length: count }, () => sample(rand));
+      const totalWeight = weights.reduce((acc, weight) => acc + weight, 0);
+      // Leave a quarter of the supply unallocated, as if it were still in the curve
+      const allocatable = Number(supply) * 0.75;
+
+      const toAmount = (weight: number) =>
+        BigInt(Math.max(1, Math.floor((weight / totalWeight) * allocatable)));
+
+      if (!churn) {
+        return weights.map((weight): RawHolder => ({
+          owner: randomAddress(rand),
+          amount: toAmount(weight),
+        }));
+      }
+
+      const step = Math.floor(now() / stepMs);
+      return weights.map((weight, slot): RawHolder => {
+        const slotRand = mulberry32(seed * 7919 + slot);
+        const lifespan = (0.5 + slotRand()) / churn;
+        const phase = slotRand() * lifespan;
+        const generation = Math.floor((step + phase) / lifespan);
+        const swing = 1 + 0.25 * Math.sin(step * 0.3 + phase);
+
+        return {
+          owner: randomAddress(mulberry32(seed * 7919 + slot + generation * 104729)),
+          amount: toAmount(weight * swing),
+        };
+      });
+    },
+  };
+}
+
+const samplers: Record<SyntheticDistribution, (rand: () => number) => number> = {
+  // Heavy tail: a handful of whales and a long line of small bags
+  pareto: (rand) => 1 / Math.pow(1 - rand(), 1 / 1.16),
+  exponential: (rand) => -Math.log(1 - rand()),
+  uniform: (rand) => 0.5 + rand(),
+};
+
+function randomAddress(rand: () => number) {
+  const bytes = new Uint8Array(32);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = Math.floor(rand() * 256);
+  }
+  return new PublicKey(bytes).toBase58();
+}
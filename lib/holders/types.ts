@@ -0,0 +1,43 @@
+export type { Holder } from '../schema'
+
+/**
+ * A wallet and the total raw token amount it holds, summed across all of its
+ * token accounts for the mint. Amounts are in base units (no decimals applied).
+ */
+export type RawHolder = {
+  owner: string
+  amount: bigint
+}
+
+// A holder read back from a snapshot, with its spot in the stable layout, when
+// it was first seen holding and whether it was in the first snapshot
+export type SlottedHolder = RawHolder & {
+  slot?: number
+  since?: string
+  og?: boolean
+}
+
+export type TokenProgram = 'spl-token' | 'token-2022'
+
+/**
+ * What the mint account itself says: total supply in base units, decimals,
+ * which token program owns it and, for Token-2022, its extensions.
+ */
+export type MintInfo = {
+  supply: bigint
+  decimals: number
+  program: TokenProgram
+  extensions: string[]
+}
+
+/**
+ * Something that can list the holders of a mint. Providers only have to return
+ * aggregated balances; sorting, trimming and sizing happen in `buildHolderList`.
+ * `getMintInfo` returns `null` when the provider doesn't know the mint's supply.
+ */
+export interface HolderProvider {
+  name: string
+  getHolders(): Promise<RawHolder[]>
+  getMintInfo(): Promise<MintInfo | null>
+}
+
@@ -0,0 +1,33 @@
+import type { HolderDelta, LiveSource } from './types'
+
+/**
+ * Runs `start` when the first listener subscribes and the cleanup it returns
+ * once the last one leaves, so idle sources cost nothing.
+ */
+export function createLiveSource(
+  start: (emit: (delta: HolderDelta) => void) => () => void
+): LiveSource {
+  const listeners = new Set<(delta: HolderDelta) => void>();
+  let stop: (() => void) | null = null;
+
+  const emit = (delta: HolderDelta) => {
+    listeners.forEach((listener) => listener(delta));
+  };
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!stop) {
+        stop = start(emit);
+      }
+
+      return () => {
+        listeners.delete(listener);
+        if (!listeners.size && stop) {
+          stop();
+          stop = null;
+        }
+      };
+    },
+  };
+}
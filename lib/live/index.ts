@@ -0,0 +1,42 @@
+import { createPollingSource } from './polling'
+import { createLocalSource } from './local'
+import type { LiveSource } from './types'
+
+export type { HolderDelta, LiveChange, LiveSource } from './types'
+
+const DEFAULT_POLL_INTERVAL = 15;
+const DEFAULT_LOCAL_INTERVAL = 3;
+
+const sources = new Map<string, LiveSource>();
+
+/**
+ * The process-wide source of holder deltas for `mint`, picked by `LIVE_SOURCE`: `polling`
+ * (default) watches stored snapshots every `LIVE_POLL_INTERVAL` seconds,
+ * `local` makes up trades every `LIVE_LOCAL_INTERVAL` seconds. Every connected
+ * client shares it, so a hundred open tabs still poll once.
+ */
+export function getLiveSource(mint: string, env: NodeJS.ProcessEnv = process.env): LiveSource {
+  const existing = sources.get(mint);
+  if (existing) return existing;
+
+  let source: LiveSource;
+  const kind = env.LIVE_SOURCE || 'polling';
+  switch (kind) {
+    case 'polling':
+      source = createPollingSource({
+        mint,
+        interval: (Number(env.LIVE_POLL_INTERVAL) || DEFAULT_POLL_INTERVAL) * 1000,
+      });
+      break;
+    case 'local':
+      source = createLocalSource({
+        mint,
+        interval: (Number(env.LIVE_LOCAL_INTERVAL) || DEFAULT_LOCAL_INTERVAL) * 1000,
+      });
+      break;
+    default:
+      throw new Error(`Unknown LIVE_SOURCE "${kind}"`);
+  }
+  sources.set(mint, source);
+  return source;
+}
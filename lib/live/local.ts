@@ -0,0 +1,119 @@
+import { Keypair } from '@solana/web3.js'
+import { loadHolderList, snapshotListToken } from '../holders/list'
+import { toHolder } from '../holders'
+import { createLiveSource } from './emitter'
+import type { LiveChange } from './types'
+
+type Book = {
+  // Raw balances of the degens, by owner
+  amounts: Map<string, bigint>
+  // Stable layout slots, by owner, landmarks included
+  slots: Map<string, number>
+  // When each degen was first seen holding
+  since: Map<string, string>
+  // Degens from the first snapshot
+  og: Set<string>
+  token: { supply: bigint; decimals: number }
+}
+
+// Random factors are applied to bigint amounts in millionths
+const FACTOR_SCALE = 1_000_000;
+
+/**
+ * Stand-in for a chain feed: starts from the current holder list of `mint` and makes up
+ * a few buys and sells every `interval` ms. Handy for working on live updates
+ * without waiting for real trades.
+ */
+export function createLocalSource({ mint, interval }: { mint: string; interval: number }) {
+  return createLiveSource((emit) => {
+    let book: Book | null = null;
+
+    const tick = async () => {
+      try {
+        if (!book) {
+          const { snapshot, holders } = await loadHolderList({ mint });
+          book = {
+            amounts: new Map(
+              holders.filter((holder) => !holder.landmark).map((holder) => [holder.owner, BigInt(holder.amount)])
+            ),
+            slots: new Map(
+              holders.filter((holder) => holder.slot !== undefined).map((holder) => [holder.owner, holder.slot as number])
+            ),
+            since: new Map(
+              holders.filter((holder) => holder.since !== undefined).map((holder) => [holder.owner, holder.since as string])
+            ),
+            og: new Set(holders.filter((holder) => holder.og).map((holder) => holder.owner)),
+            token: snapshotListToken(snapshot),
+          };
+        }
+
+        const changes = Array.from({ length: 1 + Math.floor(Math.random() * 3) }, () =>
+          randomChange(book as Book)
+        ).filter(Boolean) as LiveChange[];
+
+        if (changes.length) {
+          emit({ snapshotId: null, at: new Date().toISOString(), changes });
+        }
+      } catch (error) {
+        console.error('Local live source failed:', error);
+      }
+    };
+
+    const timer = setInterval(tick, interval);
+    return () => clearInterval(timer);
+  });
+}
+
+function randomChange({ amounts, slots, since, og, token }: Book): LiveChange | null {
+  const roll = Math.random();
+  const largest = Array.from(amounts.values()).reduce((max, amount) => (amount > max ? amount : max), BigInt(0));
+
+  if (roll < 0.4 || !amounts.size) {
+    const owner = Keypair.generate().publicKey.toBase58();
+    const reference = largest > BigInt(0) ? largest : token.supply / BigInt(1000);
+    const amount = scale(reference, Math.random() * 0.2);
+    amounts.set(owner, amount);
+    // Like a real snapshot would, hand out the lowest free slot
+    const taken = new Set(slots.values());
+    let slot = 0;
+    while (taken.has(slot)) slot++;
+    slots.set(owner, slot);
+    since.set(owner, new Date().toISOString());
+    return {
+      owner,
+      status: 'new',
+      delta: amount.toString(),
+      holder: toHolder({ owner, amount, slot, since: since.get(owner) }, token, largest || amount),
+    };
+  }
+
+  const owners = Array.from(amounts.keys());
+  const owner = owners[Math.floor(Math.random() * owners.length)];
+  const current = amounts.get(owner) as bigint;
+
+  if (roll < 0.55) {
+    amounts.delete(owner);
+    slots.delete(owner);
+    since.delete(owner);
+    return { owner, status: 'exited', delta: (-current).toString(), holder: null };
+  }
+
+  const factor = roll < 0.8 ? 1 + Math.random() : 1 - Math.random() * 0.5;
+  const amount = scale(current, factor);
+  amounts.set(owner, amount);
+  return {
+    owner,
+    status: factor > 1 ? 'accumulating' : 'distributing',
+    delta: (amount - current).toString(),
+    holder: toHolder(
+      { owner, amount, slot: slots.get(owner), since: since.get(owner), og: og.has(owner) },
+      token,
+      largest
+    ),
+  };
+}
+
+function scale(amount: bigint, factor: number) {
+  const scaled = (amount * BigInt(Math.round(factor * FACTOR_SCALE))) / BigInt(FACTOR_SCALE);
+  return scaled > BigInt(0) ? scaled : BigInt(1);
+}
@@ -0,0 +1,51 @@
+import { getHolderFilter } from '../holders/filters'
+import { loadHolderList } from '../holders/list'
+import { diffSnapshots } from '../snapshots/diff'
+import type { Snapshot } from '../snapshots'
+import { createLiveSource } from './emitter'
+
+/**
+ * Polls the latest snapshot of `mint` every `interval` ms (which takes a new one whenever
+ * it is older than `SNAPSHOT_MAX_AGE`) and emits what changed since the
+ * previous one.
+ */
+export function createPollingSource({ mint, interval }: { mint: string; interval: number }) {
+  return createLiveSource((emit) => {
+    let previous: Snapshot | null = null;
+    let polling = false;
+
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        const { snapshot, holders } = await loadHolderList({ mint });
+        if (previous && previous.id !== snapshot.id) {
+          const { changes } = diffSnapshots(previous, snapshot, await getHolderFilter(mint));
+          const listed = new Map(holders.map((holder) => [holder.owner, holder]));
+
+          if (changes.length) {
+            emit({
+              snapshotId: snapshot.id,
+              at: snapshot.takenAt,
+              changes: changes.map((change) => ({
+                owner: change.owner,
+                status: change.status,
+                delta: change.delta,
+                holder: listed.get(change.owner) ?? null,
+              })),
+            });
+          }
+        }
+        previous = snapshot;
+      } catch (error) {
+        console.error('Live polling failed:', error);
+      } finally {
+        polling = false;
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, interval);
+    return () => clearInterval(timer);
+  });
+}
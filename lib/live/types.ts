@@ -0,0 +1,25 @@
+import type { Holder } from '../holders'
+import type { HolderChangeStatus } from '../snapshots/diff'
+
+/**
+ * One wallet's move. `holder` is the wallet's new entry in the holder list, or
+ * `null` once it has sold out.
+ */
+export type LiveChange = {
+  owner: string
+  status: HolderChangeStatus
+  delta: string
+  holder: Holder | null
+}
+
+export type HolderDelta = {
+  // Snapshot the changes lead up to, when they come from stored snapshots
+  snapshotId: string | null
+  at: string
+  changes: LiveChange[]
+}
+
+export interface LiveSource {
+  // Returns a function that stops listening
+  subscribe(listener: (delta: HolderDelta) => void): () => void
+}
@@ -0,0 +1,50 @@
+import type { HolderChangeStatus } from './snapshots/diff'
+
+/**
+ * How a character feels. Every wallet is born with a temperament, happy or
+ * sad, rolled from its address. What the wallet does with its bag overrides
+ * it: sellers turn into paper hands, wallets that just bought in are fresh
+ * apes, and wallets that have held for long enough are diamond hands.
+ */
+
+export type Temperament = 'happy' | 'sad'
+
+export type Mood = Temperament | 'diamond-hands' | 'paper-hands' | 'fresh-ape'
+
+export const TEMPERAMENTS: Temperament[] = ['happy', 'sad'];
+
+export const MOODS: Mood[] = [...TEMPERAMENTS, 'diamond-hands', 'paper-hands', 'fresh-ape'];
+
+// Moods without heads of their own wear those of a temperament
+export const MOOD_HEADS: Record<Mood, Temperament> = {
+  happy: 'happy',
+  sad: 'sad',
+  'diamond-hands': 'happy',
+  'paper-hands': 'sad',
+  'fresh-ape': 'happy',
+};
+
+// Holding for this long (ms) without selling makes diamond hands
+export const DIAMOND_HANDS_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * What's known about a wallet's bag. `change` is how it moved since the
+ * previous snapshot, and `since` (ISO) when the wallet was first seen holding.
+ */
+export type HolderBehaviour = {
+  change?: HolderChangeStatus | null
+  since?: string
+}
+
+/**
+ * The mood of a wallet born with `temperament`, given what it did with its bag.
+ * Selling beats everything else, then buying in for the first time, then
+ * holding long enough; a wallet that just bought more is happy.
+ */
+export function getMood(temperament: Temperament, { change, since }: HolderBehaviour = {}, now = Date.now()): Mood {
+  if (change === 'distributing' || change === 'exited') return 'paper-hands';
+  if (change === 'new') return 'fresh-ape';
+  if (since && now - Date.parse(since) >= DIAMOND_HANDS_AGE) return 'diamond-hands';
+  if (change === 'accumulating') return 'happy';
+  return temperament;
+}
@@ -0,0 +1,33 @@
+/**
+ * Small deterministic random helpers that run the same on the server, in the
+ * browser and in workers.
+ */
+
+// Seeded PRNG returning floats in [0, 1)
+export function mulberry32(seed: number) {
+  return function () {
+    let t = (seed += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 32-bit hash of `bytes` (cyrb53, folded down). Every byte and its position
+ * affect the result, so unlike summing char codes, reordered inputs don't
+ * collide. `salt` gives unrelated hashes for the same bytes.
+ */
+export function hashBytes(bytes: ArrayLike<number>, salt = 0) {
+  let h1 = 0xdeadbeef ^ salt;
+  let h2 = 0x41c6ce57 ^ salt;
+  for (let i = 0; i < bytes.length; i++) {
+    h1 = Math.imul(h1 ^ bytes[i], 2654435761);
+    h2 = Math.imul(h2 ^ bytes[i], 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h1 ^ h2) >>> 0;
+}
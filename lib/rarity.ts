@@ -0,0 +1,114 @@
+import { TEMPERAMENT_WEIGHTS, type CharacterSpec, type Temperament } from './characterSpec'
+import { accessoryChances, DEFAULT_TRAIT_PACKS, getTraitCatalog, partWeights } from './traitPacks'
+
+/**
+ * How rare each wallet's look is among the holders of a token.
+ *
+ * A character's traits are its temperament, body, resting head, colour
+ * family and the accessory it's born with (or `none`), so rarity doesn't move
+ * when the wallet's mood does, or when it earns an accessory. A wallet's
+ * rarity score adds up `-log2` of how common each of its traits is among the
+ * holders, so one one-in-a-hundred head counts for as much as a pair of
+ * one-in-ten traits. Rank 1 is the rarest wallet.
+ */
+
+export type TraitName = 'temperament' | 'body' | 'head' | 'color' | 'accessory'
+
+export type CharacterTraits = Record<TraitName, string>
+
+// How many holders have each value of each trait
+export type TraitDistribution = Record<TraitName, Record<string, number>>
+
+export type RarityEntry = {
+  wallet: string
+  traits: CharacterTraits
+  score: number
+  rank: number
+}
+
+export type RarityReport = {
+  total: number
+  distribution: TraitDistribution
+  // Rarest first
+  ranked: RarityEntry[]
+}
+
+// Share of the rarest wallets that get a rarity badge on the plane
+export const RARE_SHARE = 0.1;
+
+const TRAIT_NAMES: TraitName[] = ['temperament', 'body', 'head', 'color', 'accessory'];
+
+export function characterTraits(spec: CharacterSpec): CharacterTraits {
+  return {
+    temperament: spec.temperament,
+    body: `body-${spec.bodyIndex}`,
+    // Each temperament has its own heads
+    head: `${spec.temperament}-${spec.restingHeadIndex}`,
+    color: spec.colorFamily,
+    accessory: spec.accessoryIndex === null ? 'none' : `accessory-${spec.accessoryIndex}`,
+  };
+}
+
+/**
+ * The published odds of every trait value for a token drawing from
+ * `traitPacks`: temperaments from `config/traits.json`, bodies and heads from
+ * the packs' manifests. Heads are conditional on the temperament, and earned
+ * accessories aren't rolled, so they're left out. Colours come
+ * from `randomColor`, so they have no published odds, only the observed
+ * distribution.
+ */
+export function getTraitOdds(traitPacks: string[] = DEFAULT_TRAIT_PACKS) {
+  const normalise = (weights: number[], key: (index: number) => string) => {
+    const total = weights.reduce((acc, weight) => acc + weight, 0);
+    return Object.fromEntries(weights.map((weight, index) => [key(index), weight / total]));
+  };
+  const catalog = getTraitCatalog(traitPacks);
+  const chances = accessoryChances(catalog.accessories);
+  const temperaments = Object.keys(TEMPERAMENT_WEIGHTS) as Temperament[];
+
+  return {
+    temperament: normalise(temperaments.map((name) => TEMPERAMENT_WEIGHTS[name]), (index) => temperaments[index]),
+    body: normalise(partWeights(catalog.bodies), (index) => `body-${index}`),
+    head: Object.fromEntries(
+      temperaments.map((name) => [name, normalise(partWeights(catalog.heads[name]), (index) => `${name}-${index}`)])
+    ),
+    accessory: Object.fromEntries([
+      ['none', Math.max(0, 1 - chances.reduce((acc, chance) => acc + chance, 0))],
+      ...chances.flatMap((chance, index) => (chance ? [[`accessory-${index}`, chance]] : [])),
+    ]),
+  };
+}
+
+export function rankRarity(specs: CharacterSpec[]): RarityReport {
+  const distribution = Object.fromEntries(TRAIT_NAMES.map((name) => [name, {}])) as TraitDistribution;
+  const traits = specs.map((spec) => {
+    const values = characterTraits(spec);
+    TRAIT_NAMES.forEach((name) => {
+      distribution[name][values[name]] = (distribution[name][values[name]] ?? 0) + 1;
+    });
+    return values;
+  });
+
+  const total = specs.length;
+  const ranked = specs
+    .map((spec, index) => ({
+      wallet: spec.wallet,
+      traits: traits[index],
+      score: TRAIT_NAMES.reduce(
+        (score, name) => score - Math.log2(distribution[name][traits[index][name]] / total),
+        0
+      ),
+      rank: 0,
+    }))
+    // Ties go by address so the ranking doesn't depend on list order
+    .sort((a, b) => b.score - a.score || (a.wallet < b.wallet ? -1 : 1));
+  ranked.forEach((entry, index) => {
+    entry.rank = index + 1;
+  });
+
+  return { total, distribution, ranked };
+}
+
+export function isRare(rank: number, total: number) {
+  return rank <= Math.max(1, Math.floor(total * RARE_SHARE));
+}
@@ -0,0 +1,135 @@
+/**
+ * The holder payloads shared by the API routes and the plane.
+ *
+ * Both sides import these types, and the client runs every payload through the
+ * `parse*` functions, so a change on one side that the other doesn't know about
+ * fails loudly instead of rendering garbage. Bump `HOLDER_SCHEMA_VERSION`
+ * whenever a field changes meaning or shape.
+ */
+
+export const HOLDER_SCHEMA_VERSION = 5;
+
+export const HOLDER_CATEGORIES = ['pool', 'burn', 'exchange', 'program', 'custom'] as const;
+
+export type HolderCategory = (typeof HOLDER_CATEGORIES)[number]
+
+export type HolderLabel = {
+  label: string
+  category: HolderCategory
+}
+
+/**
+ * One wallet in the holder list. Amounts are exact decimal strings: `amount`
+ * in base units, `uiAmount` in whole tokens, `percentage` of the supply.
+ * `normalizedSize` is the bag relative to the largest degen (0-1). `slot` is
+ * the wallet's spot in the stable layout, kept for as long as it holds; it's
+ * missing on holders from snapshots taken before slots existed. `since` (ISO)
+ * is when the wallet was first seen holding, missing likewise. `og` is set on
+ * wallets that were in the token's first snapshot.
+ */
+export type Holder = {
+  owner: string
+  amount: string
+  uiAmount: string
+  percentage: string
+  normalizedSize: number
+  slot?: number
+  since?: string
+  og?: true
+  // Set on excluded wallets (pools, burn, exchanges...) kept as landmarks
+  landmark?: HolderLabel
+}
+
+export type HolderListResponse = {
+  version: typeof HOLDER_SCHEMA_VERSION
+  holders: Holder[]
+  snapshot: { id: string; takenAt: string }
+  token: {
+    supply: string
+    decimals: number
+    program: 'spl-token' | 'token-2022'
+    extensions: string[]
+  } | null
+  total: number
+  nextCursor: string | null
+}
+
+export class SchemaError extends Error {}
+
+const UNSIGNED_INTEGER = /^\d+$/;
+const UNSIGNED_DECIMAL = /^\d+(\.\d+)?$/;
+
+function fail(path: string, expected: string, value: unknown): never {
+  throw new SchemaError(`${path}: expected ${expected}, got ${JSON.stringify(value)}`);
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function matches(value: unknown, pattern: RegExp): value is string {
+  return typeof value === 'string' && pattern.test(value);
+}
+
+export function assertSchemaVersion(version: unknown) {
+  if (version !== HOLDER_SCHEMA_VERSION) {
+    throw new SchemaError(
+      `Holder schema version ${JSON.stringify(version)} doesn't match the expected ${HOLDER_SCHEMA_VERSION}`
+    );
+  }
+}
+
+export function parseHolder(value: unknown, path = 'holder'): Holder {
+  if (!isObject(value)) fail(path, 'an object', value);
+
+  const { owner, amount, uiAmount, percentage, normalizedSize, slot, since, og, landmark } = value;
+  if (typeof owner !== 'string' || !owner) fail(`${path}.owner`, 'an address', owner);
+  if (!matches(amount, UNSIGNED_INTEGER)) fail(`${path}.amount`, 'an integer string', amount);
+  if (!matches(uiAmount, UNSIGNED_DECIMAL)) fail(`${path}.uiAmount`, 'a decimal string', uiAmount);
+  if (!matches(percentage, UNSIGNED_DECIMAL)) fail(`${path}.percentage`, 'a decimal string', percentage);
+  if (typeof normalizedSize !== 'number' || !(normalizedSize >= 0 && normalizedSize <= 1)) {
+    fail(`${path}.normalizedSize`, 'a number between 0 and 1', normalizedSize);
+  }
+
+  const holder: Holder = { owner, amount, uiAmount, percentage, normalizedSize };
+  if (slot !== undefined) {
+    if (!Number.isInteger(slot) || (slot as number) < 0) fail(`${path}.slot`, 'a slot number', slot);
+    holder.slot = slot as number;
+  }
+  if (since !== undefined) {
+    if (typeof since !== 'string' || Number.isNaN(Date.parse(since))) fail(`${path}.since`, 'an ISO date', since);
+    holder.since = since;
+  }
+  if (og !== undefined) {
+    if (og !== true) fail(`${path}.og`, 'true', og);
+    holder.og = true;
+  }
+  if (landmark !== undefined) {
+    if (
+      !isObject(landmark) ||
+      typeof landmark.label !== 'string' ||
+      !HOLDER_CATEGORIES.includes(landmark.category as HolderCategory)
+    ) {
+      fail(`${path}.landmark`, 'a { label, category } label', landmark);
+    }
+    holder.landmark = { label: landmark.label, category: landmark.category as HolderCategory };
+  }
+  return holder;
+}
+
+export function parseHolderListResponse(value: unknown): HolderListResponse {
+  if (!isObject(value)) fail('response', 'an object', value);
+  assertSchemaVersion(value.version);
+
+  if (!Array.isArray(value.holders)) fail('response.holders', 'an array', value.holders);
+  if (!isObject(value.snapshot)) fail('response.snapshot', 'an object', value.snapshot);
+  if (typeof value.total !== 'number') fail('response.total', 'a number', value.total);
+  if (value.nextCursor !== null && typeof value.nextCursor !== 'string') {
+    fail('response.nextCursor', 'a string or null', value.nextCursor);
+  }
+
+  return {
+    ...(value as HolderListResponse),
+    holders: value.holders.map((holder, index) => parseHolder(holder, `response.holders[${index}]`)),
+  };
+}
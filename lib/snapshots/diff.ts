@@ -0,0 +1,67 @@
+import type { HolderFilter } from '../holders/filters'
+import type { Snapshot } from './types'
+
+export type HolderChangeStatus = 'new' | 'exited' | 'accumulating' | 'distributing'
+
+export type HolderChange = {
+  owner: string
+  status: HolderChangeStatus
+  // Raw amounts as decimal strings; `delta` is negative when the bag shrank
+  fromAmount: string
+  toAmount: string
+  delta: string
+}
+
+export type SnapshotDiff = {
+  changes: HolderChange[]
+  counts: Record<HolderChangeStatus, number>
+}
+
+/**
+ * Compares two snapshots wallet by wallet. Wallets whose balance didn't move
+ * are left out, as are wallets the filter excludes (pools, exchanges...).
+ * Changes are ordered by the size of the move, biggest first.
+ */
+export function diffSnapshots(from: Snapshot, to: Snapshot, filter?: HolderFilter): SnapshotDiff {
+  const before = new Map(from.holders.map(([owner, amount]) => [owner, BigInt(amount)]));
+  const after = new Map(to.holders.map(([owner, amount]) => [owner, BigInt(amount)]));
+  const owners = new Set([...before.keys(), ...after.keys()]);
+
+  const changes: (HolderChange & { magnitude: bigint })[] = [];
+  owners.forEach((owner) => {
+    if (filter?.classify(owner)) return;
+
+    const fromAmount = before.get(owner) ?? BigInt(0);
+    const toAmount = after.get(owner) ?? BigInt(0);
+    const delta = toAmount - fromAmount;
+    if (delta === BigInt(0)) return;
+
+    let status: HolderChangeStatus;
+    if (fromAmount === BigInt(0)) {
+      status = 'new';
+    } else if (toAmount === BigInt(0)) {
+      status = 'exited';
+    } else {
+      status = delta > 0 ? 'accumulating' : 'distributing';
+    }
+
+    changes.push({
+      owner,
+      status,
+      fromAmount: fromAmount.toString(),
+      toAmount: toAmount.toString(),
+      delta: delta.toString(),
+      magnitude: delta < 0 ? -delta : delta,
+    });
+  });
+
+  changes.sort((a, b) => (a.magnitude === b.magnitude ? 0 : a.magnitude > b.magnitude ? -1 : 1));
+
+  const counts = { new: 0, exited: 0, accumulating: 0, distributing: 0 };
+  changes.forEach((change) => counts[change.status]++);
+
+  return {
+    changes: changes.map(({ magnitude, ...change }) => change),
+    counts,
+  };
+}
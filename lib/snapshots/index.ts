@@ -0,0 +1,165 @@
+import { randomBytes } from 'crypto'
+import { getHolderProvider, type HolderProvider, type SlottedHolder } from '../holders'
+import { assignSlots } from './slots'
+import { holdingSince } from './tenure'
+import { createMemoryStore } from './stores/memory'
+import { createFileStore } from './stores/file'
+import { createKvStore } from './stores/kv'
+import type { Snapshot, SnapshotStore } from './types'
+
+export type { Snapshot, SnapshotStore, SnapshotSummary, SnapshotToken } from './types'
+export { summarize } from './stores/summary'
+
+const DEFAULT_MAX_AGE = 60;
+const RECENT_SNAPSHOTS = 5;
+
+// Snapshots never change once taken, so the last few read are kept around.
+// Keyed by mint and id, since two worlds can snapshot in the same millisecond.
+const recentSnapshots = new Map<string, Snapshot>();
+const cacheKey = (mint: string, id: string) => `${mint}:${id}`;
+
+function remember(snapshot: Snapshot) {
+  const key = cacheKey(snapshot.mint, snapshot.id);
+  recentSnapshots.delete(key);
+  recentSnapshots.set(key, snapshot);
+  if (recentSnapshots.size > RECENT_SNAPSHOTS) {
+    recentSnapshots.delete(recentSnapshots.keys().next().value as string);
+  }
+  return snapshot;
+}
+
+/**
+ * Picks the snapshot store named by `SNAPSHOT_STORE` (`memory`, `file` or
+ * `kv`) for `mint`. Without it, KV is used when its credentials are configured
+ * and files under `SNAPSHOT_DIR` (default `.snapshots`) otherwise.
+ */
+export function getSnapshotStore(mint: string, env: NodeJS.ProcessEnv = process.env): SnapshotStore {
+  const kind = env.SNAPSHOT_STORE || (env.KV_REST_API_URL ? 'kv' : 'file');
+
+  switch (kind) {
+    case 'memory':
+      return createMemoryStore({ namespace: mint });
+    case 'file':
+      return createFileStore({ dir: `${env.SNAPSHOT_DIR || '.snapshots'}/${mint}` });
+    case 'kv':
+      return createKvStore({ prefix: `wod:${mint}` });
+    default:
+      throw new Error(`Unknown SNAPSHOT_STORE "${kind}"`);
+  }
+}
+
+/**
+ * The holders of `snapshot`. Those among `ogOwners` (see `getOgOwners`) are
+ * flagged as OGs.
+ */
+export function snapshotHolders(snapshot: Snapshot, ogOwners?: Set<string>): SlottedHolder[] {
+  return snapshot.holders.map(([owner, amount, slot, since]) => {
+    const holder: SlottedHolder = { owner, amount: BigInt(amount) };
+    if (slot !== undefined) holder.slot = slot;
+    if (since !== undefined) holder.since = since;
+    if (ogOwners?.has(owner)) holder.og = true;
+    return holder;
+  });
+}
+
+// Owners of the first snapshot, keyed like `recentSnapshots`. It never changes
+// once taken, so it's only read once.
+const ogOwnerSets = new Map<string, Set<string>>();
+
+/**
+ * The wallets in the first snapshot taken of `mint`, the token's OGs. Empty
+ * until there is one.
+ */
+export async function getOgOwners(mint: string, store: SnapshotStore = getSnapshotStore(mint)) {
+  const first = await store.first();
+  if (!first) return new Set<string>();
+
+  const key = cacheKey(mint, first.id);
+  let owners = ogOwnerSets.get(key);
+  if (!owners) {
+    const snapshot = await getSnapshot(mint, first.id, store);
+    owners = new Set(snapshot?.holders.map(([owner]) => owner));
+    ogOwnerSets.set(key, owners);
+  }
+  return owners;
+}
+
+// Readable and sorted by time, with a random tail so two snapshots taken in
+// the same millisecond don't overwrite each other
+function snapshotId(takenAt: Date) {
+  return `${takenAt.toISOString().replace(/[:.]/g, '-')}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Fetches the current holders of `mint` from the provider and stores them as a
+ * new snapshot. Wallets already in the previous snapshot keep their slots and
+ * holding dates.
+ */
+export async function takeSnapshot(
+  mint: string,
+  provider: HolderProvider = getHolderProvider(mint),
+  store: SnapshotStore = getSnapshotStore(mint)
+): Promise<Snapshot> {
+  const takenAt = new Date();
+  const [holders, mintInfo, previous] = await Promise.all([
+    provider.getHolders(),
+    provider.getMintInfo(),
+    store.list(1).then(([latest]) => (latest ? getSnapshot(mint, latest.id, store) : null)),
+  ]);
+  const slots = assignSlots(previous, holders);
+  const since = holdingSince(previous, holders, takenAt.toISOString());
+
+  const snapshot: Snapshot = {
+    id: snapshotId(takenAt),
+    mint,
+    takenAt: takenAt.toISOString(),
+    provider: provider.name,
+    token: mintInfo && {
+      supply: mintInfo.supply.toString(),
+      decimals: mintInfo.decimals,
+      program: mintInfo.program,
+      extensions: mintInfo.extensions,
+    },
+    holders: holders.map(({ owner, amount }, index) => [owner, amount.toString(), slots[index], since[index]]),
+  };
+  await store.save(snapshot);
+  return remember(snapshot);
+}
+
+export async function getSnapshot(mint: string, id: string, store: SnapshotStore = getSnapshotStore(mint)) {
+  const cached = recentSnapshots.get(cacheKey(mint, id));
+  if (cached) return cached;
+
+  const snapshot = await store.get(id);
+  return snapshot && remember(snapshot);
+}
+
+// In-flight scans per mint
+const pendingSnapshots = new Map<string, Promise<Snapshot>>();
+
+/**
+ * Returns the newest stored snapshot, taking a new one first if it is older
+ * than `SNAPSHOT_MAX_AGE` seconds. Concurrent callers share a single scan, so
+ * a burst of visitors costs one RPC call rather than one each.
+ */
+export async function getLatestSnapshot(
+  mint: string,
+  store: SnapshotStore = getSnapshotStore(mint)
+): Promise<Snapshot> {
+  const maxAge = (Number(process.env.SNAPSHOT_MAX_AGE) || DEFAULT_MAX_AGE) * 1000;
+  const [latest] = await store.list(1);
+
+  if (latest && Date.now() - Date.parse(latest.takenAt) < maxAge) {
+    const snapshot = await getSnapshot(mint, latest.id, store);
+    if (snapshot) return snapshot;
+  }
+
+  let pending = pendingSnapshots.get(mint);
+  if (!pending) {
+    pending = takeSnapshot(mint, getHolderProvider(mint), store).finally(() => {
+      pendingSnapshots.delete(mint);
+    });
+    pendingSnapshots.set(mint, pending);
+  }
+  return pending;
+}
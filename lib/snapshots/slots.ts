@@ -0,0 +1,34 @@
+import { compareAmountsDesc } from '../amounts'
+import type { RawHolder } from '../holders/types'
+import type { Snapshot } from './types'
+
+/**
+ * Slots are the wallets' spots in the plane's stable layout. A wallet keeps its
+ * slot from one snapshot to the next for as long as it holds; wallets that sell
+ * out free theirs, and newcomers take the lowest free slots, largest bag first.
+ *
+ * Returns the slot of each of the new snapshot's `holders`, in the same order.
+ */
+export function assignSlots(previous: Snapshot | null, holders: RawHolder[]): number[] {
+  const kept = new Map<string, number>();
+  if (previous) {
+    const current = new Set(holders.map(({ owner }) => owner));
+    previous.holders.forEach(([owner, , slot]) => {
+      if (slot !== undefined && current.has(owner)) kept.set(owner, slot);
+    });
+  }
+
+  const taken = new Set(kept.values());
+  const slots = new Map(kept);
+  let candidate = 0;
+  holders
+    .filter(({ owner }) => !kept.has(owner))
+    .sort((a, b) => compareAmountsDesc(a.amount, b.amount))
+    .forEach(({ owner }) => {
+      while (taken.has(candidate)) candidate++;
+      taken.add(candidate);
+      slots.set(owner, candidate);
+    });
+
+  return holders.map(({ owner }) => slots.get(owner) as number);
+}
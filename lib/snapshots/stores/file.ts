@@ -0,0 +1,70 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import type { Snapshot, SnapshotStore, SnapshotSummary } from '../types'
+import { summarize } from './summary'
+
+// Pending index updates per directory, shared by every store on it in this
+// process so concurrent saves don't drop each other's entries
+const indexWrites = new Map<string, Promise<unknown>>();
+
+/**
+ * Writes each snapshot to `<dir>/<id>.json` next to an `index.json` of
+ * summaries, so listing doesn't have to read every snapshot.
+ *
+ * Saves update the index one at a time, and write it to a temporary file that
+ * replaces it in one rename, so a reader never sees it half written.
+ */
+export function createFileStore({ dir }: { dir: string }): SnapshotStore {
+  const root = path.resolve(process.cwd(), dir);
+  const indexFile = path.join(root, 'index.json');
+
+  const readIndex = async (): Promise<SnapshotSummary[]> => {
+    try {
+      return JSON.parse(await fs.readFile(indexFile, 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    async save(snapshot) {
+      await fs.mkdir(root, { recursive: true });
+      await fs.writeFile(path.join(root, `${snapshot.id}.json`), JSON.stringify(snapshot));
+
+      const update = (indexWrites.get(root) ?? Promise.resolve())
+        .catch(() => {})
+        .then(async () => {
+          const index = [...(await readIndex()), summarize(snapshot)];
+          index.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+          const tempFile = `${indexFile}.${process.pid}.${Date.now()}.tmp`;
+          await fs.writeFile(tempFile, JSON.stringify(index, null, 2));
+          await fs.rename(tempFile, indexFile);
+        });
+      indexWrites.set(root, update);
+      try {
+        await update;
+      } finally {
+        if (indexWrites.get(root) === update) indexWrites.delete(root);
+      }
+    },
+    async get(id) {
+      // Ids come from URLs; don't let them escape the snapshot directory
+      if (!/^[\w-]+$/.test(id)) return null;
+      try {
+        return JSON.parse(await fs.readFile(path.join(root, `${id}.json`), 'utf8'));
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async list(limit) {
+      const index = await readIndex();
+      return limit ? index.slice(0, limit) : index;
+    },
+    async first() {
+      const index = await readIndex();
+      return index[index.length - 1] ?? null;
+    },
+  };
+}
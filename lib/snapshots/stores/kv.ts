@@ -0,0 +1,44 @@
+import type { Snapshot, SnapshotStore, SnapshotSummary } from '../types'
+import { summarize } from './summary'
+
+/**
+ * Stores snapshots in Vercel KV. Each snapshot is one key; a sorted set scored
+ * by time orders the ids and a hash keeps their summaries.
+ *
+ * `@vercel/kv` is imported lazily so that local setups without KV credentials
+ * never load it.
+ */
+export function createKvStore({ prefix }: { prefix: string }): SnapshotStore {
+  const client = async () => (await import('@vercel/kv')).kv;
+  const snapshotKey = (id: string) => `${prefix}:snapshot:${id}`;
+  const orderKey = `${prefix}:snapshots`;
+  const summaryKey = `${prefix}:summaries`;
+
+  return {
+    async save(snapshot) {
+      const kv = await client();
+      await Promise.all([
+        kv.set(snapshotKey(snapshot.id), snapshot),
+        kv.hset(summaryKey, { [snapshot.id]: summarize(snapshot) }),
+        kv.zadd(orderKey, { score: Date.parse(snapshot.takenAt), member: snapshot.id }),
+      ]);
+    },
+    async get(id) {
+      const kv = await client();
+      return kv.get<Snapshot>(snapshotKey(id));
+    },
+    async list(limit) {
+      const kv = await client();
+      const ids = await kv.zrange<string[]>(orderKey, 0, limit ? limit - 1 : -1, { rev: true });
+      if (!ids.length) return [];
+
+      const summaries = await kv.hmget<Record<string, SnapshotSummary>>(summaryKey, ...ids);
+      return ids.map((id) => summaries?.[id]).filter(Boolean) as SnapshotSummary[];
+    },
+    async first() {
+      const kv = await client();
+      const [id] = await kv.zrange<string[]>(orderKey, 0, 0);
+      return id ? kv.hget<SnapshotSummary>(summaryKey, id) : null;
+    },
+  };
+}
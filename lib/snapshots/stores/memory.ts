@@ -0,0 +1,33 @@
+import type { Snapshot, SnapshotStore } from '../types'
+import { summarize } from './summary'
+
+// Shared across stores so every request in this process sees the same snapshots
+const namespaces = new Map<string, Snapshot[]>();
+
+/**
+ * Keeps snapshots in process memory. They are lost on restart, which is fine
+ * for local development and tests.
+ */
+export function createMemoryStore({ namespace }: { namespace: string }): SnapshotStore {
+  if (!namespaces.has(namespace)) {
+    namespaces.set(namespace, []);
+  }
+  const snapshots = namespaces.get(namespace) as Snapshot[];
+
+  return {
+    async save(snapshot) {
+      snapshots.push(snapshot);
+      snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+    },
+    async get(id) {
+      return snapshots.find((snapshot) => snapshot.id === id) ?? null;
+    },
+    async list(limit = snapshots.length) {
+      return snapshots.slice(0, limit).map(summarize);
+    },
+    async first() {
+      const oldest = snapshots[snapshots.length - 1];
+      return oldest ? summarize(oldest) : null;
+    },
+  };
+}
@@ -0,0 +1,5 @@
+import type { Snapshot, SnapshotSummary } from '../types'
+
+export function summarize({ holders, ...summary }: Snapshot): SnapshotSummary {
+  return { ...summary, holderCount: holders.length };
+}
@@ -0,0 +1,16 @@
+import type { RawHolder } from '../holders/types'
+import type { Snapshot } from './types'
+
+/**
+ * When each of the new snapshot's `holders` was first seen holding, in the same
+ * order. Wallets carried over from the previous snapshot keep their date (or
+ * get the previous snapshot's, if it predates tracking); newcomers get
+ * `takenAt`. Selling out and buying back in starts over.
+ */
+export function holdingSince(previous: Snapshot | null, holders: RawHolder[], takenAt: string): string[] {
+  const kept = new Map<string, string>();
+  previous?.holders.forEach(([owner, , , since]) => {
+    kept.set(owner, since ?? previous.takenAt);
+  });
+  return holders.map(({ owner }) => kept.get(owner) ?? takenAt);
+}
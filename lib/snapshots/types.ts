@@ -0,0 +1,44 @@
+import type { TokenProgram } from '../holders/types'
+
+/**
+ * The mint's state when the snapshot was taken. Amounts are decimal strings.
+ */
+export type SnapshotToken = {
+  supply: string
+  decimals: number
+  program: TokenProgram
+  extensions: string[]
+}
+
+/**
+ * A point-in-time copy of a mint's holders, as returned by the provider (before
+ * filtering), so later changes to the exclusion rules apply to old snapshots too.
+ * Holders are stored as `[owner, amount, slot, since]` tuples to keep large
+ * snapshots small; `slot` (see `assignSlots`) and `since` (see `holdingSince`)
+ * are missing on snapshots taken before they existed.
+ * `token` is missing on snapshots from providers that don't know the mint.
+ */
+export type Snapshot = {
+  id: string
+  mint: string
+  takenAt: string
+  provider: string
+  token?: SnapshotToken | null
+  holders: [owner: string, amount: string, slot?: number, since?: string][]
+}
+
+export type SnapshotSummary = Omit<Snapshot, 'holders'> & {
+  holderCount: number
+}
+
+/**
+ * Where snapshots live. Every store is scoped to a single mint.
+ */
+export interface SnapshotStore {
+  save(snapshot: Snapshot): Promise<void>
+  get(id: string): Promise<Snapshot | null>
+  // Newest first
+  list(limit?: number): Promise<SnapshotSummary[]>
+  // The oldest, without listing the rest
+  first(): Promise<SnapshotSummary | null>
+}
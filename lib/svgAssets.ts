@@ -0,0 +1,60 @@
+import assets from '../app/svg/assets.json'
+
+/**
+ * The character parts of every trait pack, as built by
+ * scripts/build-svg-assets.mjs from the SVG files in app/svg. Each part is a
+ * plain element tree with its anchor applied and its colour slots already set
+ * to `currentColor`, so it can be drawn with React in the plane or written out
+ * as markup on the server, with no DOM either way.
+ */
+
+export type SvgNode = {
+  tag: string
+  attributes: Record<string, string>
+  children: (SvgNode | string)[]
+}
+
+export type SvgAsset = {
+  // File name, without the extension
+  name: string
+  svg: SvgNode
+}
+
+export type SvgAssets = {
+  speech: SvgAsset[]
+  // By part id (see lib/traitPacks.ts)
+  parts: Record<string, SvgNode>
+}
+
+export const SVG_ASSETS = assets as unknown as SvgAssets;
+
+export function escapeXml(text: string) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * `node` as markup. `attributes` are added to (or replace those of) the root
+ * element only.
+ */
+export function serialiseSvg(node: SvgNode, attributes: Record<string, string | number> = {}): string {
+  const merged = { ...node.attributes, ...attributes };
+  const attributeList = Object.entries(merged)
+    .map(([name, value]) => ` ${name}="${escapeXml(String(value))}"`)
+    .join('');
+  const children = node.children
+    .map((child) => (typeof child === 'string' ? escapeXml(child) : serialiseSvg(child)))
+    .join('');
+  return `<${node.tag}${attributeList}>${children}</${node.tag}>`;
+}
+
+// `fill:none;stroke-width:3` as `{ fill: 'none', strokeWidth: '3' }`, for React
+export function parseStyle(style: string): Record<string, string> {
+  const properties: Record<string, string> = {};
+  style.split(';').forEach((declaration) => {
+    const separator = declaration.indexOf(':');
+    if (separator < 0) return;
+    const property = declaration.slice(0, separator).trim().replace(/-([a-z])/g, (_, letter: string) => letter.toUpperCase());
+    properties[property] = declaration.slice(separator + 1).trim();
+  });
+  return properties;
+}
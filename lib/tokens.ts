@@ -0,0 +1,116 @@
+import tokenConfig from '../config/tokens.json'
+import { DEFAULT_TRAIT_PACKS } from './traitPacks'
+import { isTraitSeedVersion, LATEST_TRAIT_SEED_VERSION, type TraitSeedVersion } from './traits'
+
+export type TokenGradient = {
+  colors: [string, string]
+  name: string
+}
+
+// A token's announced move to another trait seed: from `from` (an ISO date)
+// on, its characters are derived with `version`
+export type TraitSeedMigration = {
+  version: TraitSeedVersion
+  from: string
+}
+
+export type TokenConfig = {
+  mint: string
+  name: string
+  ticker: string
+  socials: {
+    x?: string
+    telegram?: string
+    website?: string
+    pumpfun?: string
+  }
+  theme: {
+    accent: string
+    gradients: TokenGradient[]
+  }
+  // Holder fixture used for this token when HOLDER_PROVIDER=fixture
+  fixture?: string
+  // How characters are derived from wallets (see lib/traits.ts)
+  traitSeedVersion?: TraitSeedVersion
+  traitSeedMigration?: TraitSeedMigration
+  // Art the characters are drawn from (see lib/traitPacks.ts)
+  traitPacks?: string[]
+}
+
+export class UnknownMintError extends Error {}
+
+const [wod] = tokenConfig as TokenConfig[];
+
+/**
+ * The token a bare `/` and mint-less API calls use: `NEXT_PUBLIC_PROGRAM_ID`,
+ * or the first configured token when it's unset.
+ */
+export const DEFAULT_MINT = process.env.NEXT_PUBLIC_PROGRAM_ID || wod.mint;
+
+/**
+ * Every token this deployment hosts a world for, from `config/tokens.json`.
+ * The default mint is always included; when it has no entry of its own it
+ * borrows the look of the first configured token.
+ */
+export function getTokens(): TokenConfig[] {
+  const tokens = tokenConfig as TokenConfig[];
+  if (tokens.some((token) => token.mint === DEFAULT_MINT)) {
+    return tokens;
+  }
+  return [
+    {
+      ...wod,
+      mint: DEFAULT_MINT,
+      socials: { ...wod.socials, pumpfun: `https://pump.fun/coin/${DEFAULT_MINT}` },
+      fixture: undefined,
+      // A token of its own, so it doesn't inherit the first one's trait seed pin
+      traitSeedVersion: undefined,
+      traitSeedMigration: undefined,
+    },
+    ...tokens,
+  ];
+}
+
+/**
+ * The trait seed `token` derives characters with at `now`. Tokens that don't
+ * pin one get the latest; a pinned token moves on once its
+ * `traitSeedMigration` comes due.
+ */
+export function getTraitSeedVersion(token: TokenConfig, now = Date.now()): TraitSeedVersion {
+  const migration = token.traitSeedMigration;
+  if (migration && isTraitSeedVersion(migration.version) && now >= Date.parse(migration.from)) {
+    return migration.version;
+  }
+  return isTraitSeedVersion(token.traitSeedVersion) ? token.traitSeedVersion : LATEST_TRAIT_SEED_VERSION;
+}
+
+export function getTraitPacks(token: TokenConfig): string[] {
+  return token.traitPacks?.length ? token.traitPacks : DEFAULT_TRAIT_PACKS;
+}
+
+// Everything getCharacterSpec needs to know about the token
+export function getCharacterOptions(token: TokenConfig, now = Date.now()) {
+  return {
+    ticker: token.ticker,
+    traitSeedVersion: getTraitSeedVersion(token, now),
+    traitPacks: getTraitPacks(token),
+  };
+}
+
+export function getToken(mint: string = DEFAULT_MINT): TokenConfig | null {
+  return getTokens().find((token) => token.mint === mint) ?? null;
+}
+
+/**
+ * Resolves the `mint` query parameter of an API request against the allowlist,
+ * falling back to the default mint when it's missing.
+ */
+export function resolveMint(mint: string | string[] | undefined): string {
+  if (mint === undefined || mint === '') {
+    return DEFAULT_MINT;
+  }
+  if (typeof mint !== 'string' || !getToken(mint)) {
+    throw new UnknownMintError(`Mint "${mint}" is not hosted here`);
+  }
+  return mint;
+}
@@ -0,0 +1,71 @@
+import packCatalog from '../app/svg/catalog.json'
+import type { AccessoryEntry, AttachPoint, Point } from './accessories'
+import { TEMPERAMENTS, type Mood } from './mood'
+
+/**
+ * Trait packs are sets of bodies and heads under app/svg/packs, each with a
+ * manifest (see scripts/build-svg-assets.mjs). A token draws its characters
+ * from the packs in its `traitPacks`, in that order: the bodies of all of them
+ * make one list, and so do the heads of each mood and the accessories (see
+ * lib/accessories.ts).
+ */
+
+export type PartEntry = {
+  // Key of the part's tree in app/svg/assets.json: `<pack>/<file without .svg>`
+  id: string
+  weight: number
+  // Where the part's art puts the points accessories are worn on, if not where
+  // they usually are
+  points?: Partial<Record<AttachPoint, Point>>
+}
+
+export type TraitCatalog = {
+  bodies: PartEntry[]
+  heads: Partial<Record<Mood, PartEntry[]>>
+  accessories: AccessoryEntry[]
+}
+
+type PackCatalog = TraitCatalog & { description: string }
+
+const PACKS = packCatalog as unknown as Record<string, PackCatalog>;
+
+export const DEFAULT_TRAIT_PACKS = ['base'];
+
+export class UnknownTraitPackError extends Error {}
+
+// Catalogs never change at runtime, so each combination is built once
+const catalogs = new Map<string, TraitCatalog>();
+
+export function getTraitCatalog(packs: string[] = DEFAULT_TRAIT_PACKS): TraitCatalog {
+  const key = packs.join(',');
+  let catalog = catalogs.get(key);
+  if (!catalog) {
+    const built: TraitCatalog = { bodies: [], heads: {}, accessories: [] };
+    for (const name of packs) {
+      const pack = PACKS[name];
+      if (!pack) throw new UnknownTraitPackError(`Unknown trait pack "${name}"`);
+      built.bodies.push(...pack.bodies);
+      built.accessories.push(...pack.accessories);
+      for (const [mood, entries] of Object.entries(pack.heads) as [Mood, PartEntry[]][]) {
+        built.heads[mood] = [...(built.heads[mood] ?? []), ...entries];
+      }
+    }
+    // Every character needs a body and the heads of its temperament
+    if (!built.bodies.length || TEMPERAMENTS.some((temperament) => !built.heads[temperament]?.length)) {
+      throw new UnknownTraitPackError(`Trait packs "${key}" need bodies and ${TEMPERAMENTS.join(' and ')} heads`);
+    }
+    // A character is born with one accessory at most
+    if (accessoryChances(built.accessories).reduce((acc, chance) => acc + chance, 0) > 1 + 1e-9) {
+      throw new UnknownTraitPackError(`Trait packs "${key}" give accessories more than a 100% chance altogether`);
+    }
+    catalogs.set(key, built);
+    catalog = built;
+  }
+  return catalog;
+}
+
+export const partWeights = (entries: PartEntry[] = []) => entries.map((entry) => entry.weight);
+
+// The chance of each accessory a character can be born with; earned ones have none
+export const accessoryChances = (entries: AccessoryEntry[]) =>
+  entries.map((entry) => (entry.unlock ? 0 : entry.chance ?? 0));
@@ -0,0 +1,125 @@
+import { hashBytes, mulberry32 } from './random'
+
+/**
+ * Derives the random rolls a wallet's character traits are picked with.
+ *
+ * The derivation is versioned, because changing it hands every wallet a
+ * different character. A token pins its version with `traitSeedVersion` in
+ * `config/tokens.json`, and only moves off it through a `traitSeedMigration`
+ * (see lib/tokens.ts):
+ *
+ * - 1: the original scheme. Sums the address's char codes and draws every
+ *   trait from one stream, so addresses with the same characters in another
+ *   order look identical. WOD is pinned to it.
+ * - 2: hashes the full public key bytes, salted per trait, so each trait has
+ *   its own independent stream. Tokens without a `traitSeedVersion` get it.
+ */
+
+export const TRAIT_SEED_VERSIONS = [1, 2] as const;
+
+export type TraitSeedVersion = (typeof TRAIT_SEED_VERSIONS)[number]
+
+export const LEGACY_TRAIT_SEED_VERSION: TraitSeedVersion = 1;
+export const LATEST_TRAIT_SEED_VERSION: TraitSeedVersion = 2;
+
+export type TraitName = 'mood' | 'speech' | 'body' | 'head' | 'color' | 'accessory'
+
+/**
+ * One roll in [0, 1) per trait, plus the seed `randomColor` picks the body
+ * colour with.
+ */
+export type TraitRolls = {
+  mood: number
+  speech: number
+  body: number
+  head: number
+  color: number | string
+  accessory: number
+}
+
+export function isTraitSeedVersion(version: unknown): version is TraitSeedVersion {
+  return TRAIT_SEED_VERSIONS.includes(version as TraitSeedVersion);
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// The public key behind a base58 address. Anything that isn't base58 is
+// hashed as UTF-8 text instead.
+function addressBytes(address: string): Uint8Array {
+  const bytes: number[] = [];
+  for (const char of address) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) return new TextEncoder().encode(address);
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Leading '1's stand for zero bytes
+  for (let i = 0; i < address.length && address[i] === '1'; i++) {
+    bytes.push(0);
+  }
+  return Uint8Array.from(bytes.reverse());
+}
+
+// Salts are fixed per version and trait, so a stream never depends on which
+// other traits exist
+const traitSalt = (version: TraitSeedVersion, trait: TraitName) =>
+  hashBytes(new TextEncoder().encode(`wod-traits:v${version}:${trait}`));
+
+/**
+ * The seed of `wallet`'s stream for one trait. Only meaningful from version 2,
+ * which is the first with separate streams.
+ */
+export function traitSeed(
+  wallet: string,
+  trait: TraitName,
+  version: TraitSeedVersion = LATEST_TRAIT_SEED_VERSION
+) {
+  return hashBytes(addressBytes(wallet), traitSalt(version, trait));
+}
+
+export function traitRandom(
+  wallet: string,
+  trait: TraitName,
+  version: TraitSeedVersion = LATEST_TRAIT_SEED_VERSION
+) {
+  return mulberry32(traitSeed(wallet, trait, version));
+}
+
+function legacyTraitRolls(wallet: string): TraitRolls {
+  const sum = wallet.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  // One shared stream, drawn in this order. Traits added later draw after the
+  // others, so they leave them as they were
+  const rand = mulberry32(sum * 37);
+  return {
+    mood: rand(),
+    speech: rand(),
+    body: rand(),
+    head: rand(),
+    color: `${sum}1`,
+    accessory: rand(),
+  };
+}
+
+export function getTraitRolls(
+  wallet: string,
+  version: TraitSeedVersion = LEGACY_TRAIT_SEED_VERSION
+): TraitRolls {
+  if (version === 1) {
+    return legacyTraitRolls(wallet);
+  }
+  return {
+    mood: traitRandom(wallet, 'mood', version)(),
+    speech: traitRandom(wallet, 'speech', version)(),
+    body: traitRandom(wallet, 'body', version)(),
+    head: traitRandom(wallet, 'head', version)(),
+    color: traitSeed(wallet, 'color', version),
+    accessory: traitRandom(wallet, 'accessory', version)(),
+  };
+}
@@ -0,0 +1,147 @@
+import { createHash } from 'crypto'
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { PublicKey } from '@solana/web3.js'
+import sharp from 'sharp'
+import { holderStandings } from '../../../lib/accessories'
+import { getCharacterSpec, type CharacterSpec } from '../../../lib/characterSpec'
+import { clampImageSize, renderCharacterSvg } from '../../../lib/characterSvg'
+import { loadHolderList } from '../../../lib/holders/list'
+import { getCharacterOptions, getToken, resolveMint, UnknownMintError, type TokenConfig } from '../../../lib/tokens'
+
+type ResponseData = {
+  character?: CharacterSpec
+  holder?: boolean
+  message?: string
+  error?: string
+}
+
+// `<wallet>`, `<wallet>.svg` or `<wallet>.png`
+const WALLET_PATH = /^(.+?)(?:\.(svg|png))?$/;
+
+// Images only change when the wallet's bag or standing does, which a PFP can
+// lag behind; descriptions follow the holder list closely
+const IMAGE_CACHE_CONTROL = 'public, s-maxage=3600, stale-while-revalidate=86400';
+const JSON_CACHE_CONTROL = 's-maxage=10, stale-while-revalidate';
+
+// PNGs of the last few SVGs rasterised, so repeat requests skip sharp
+const RECENT_PNGS = 50;
+const recentPngs = new Map<string, Buffer>();
+
+async function toPng(svg: string) {
+  const key = createHash('sha1').update(svg).digest('hex');
+  const png = recentPngs.get(key) ?? (await sharp(Buffer.from(svg)).png().toBuffer());
+  recentPngs.delete(key);
+  recentPngs.set(key, png);
+  if (recentPngs.size > RECENT_PNGS) {
+    recentPngs.delete(recentPngs.keys().next().value as string);
+  }
+  return png;
+}
+
+// Gradient named by `?background=` (default: the token's first), or none
+function backgroundOf(token: TokenConfig, name: unknown): [string, string] | null {
+  if (name === 'none') return null;
+  const gradients = token.theme.gradients;
+  const gradient = typeof name === 'string'
+    ? gradients.find((candidate) => candidate.name.toLowerCase() === name.toLowerCase())
+    : undefined;
+  const { colors } = gradient ?? gradients[0];
+  return [colors[0], colors[1]];
+}
+
+function parseKey(value: unknown): PublicKey | null {
+  if (typeof value !== 'string') return null;
+  try {
+    return new PublicKey(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * `GET /api/character/:wallet?mint=` describes the character `wallet` gets in
+ * that token's world: mood, parts, colour and speech. The size comes from the
+ * wallet's current bag, or `?size=` (0-1) to ask about another one; wallets
+ * that don't hold the token are described at size 0 with `holder: false`.
+ * Addresses off the curve (PDAs) can't be anyone's wallet, so they're only
+ * described when they hold the token, like a pool or a multisig vault.
+ * The mood goes by how long the wallet has held; recent buys and sells only
+ * show on the plane, which has the diff. Earned accessories go by where the
+ * wallet stands among the current holders.
+ *
+ * `/api/character/:wallet.svg` and `.png` draw the character instead, e.g. as a
+ * PFP: `?px=` sets the image size (64-1024, default 512), `?background=` one of the
+ * token's gradients by name (default the first, `none` for transparent) and
+ * `?bubble=0` leaves out the speech bubble.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ResponseData | string | Buffer>
+) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ message: 'Method not allowed' })
+    return;
+  }
+
+  const [, wallet, format = 'json'] = WALLET_PATH.exec(String(req.query.wallet)) ?? [];
+  const key = parseKey(wallet);
+  if (!key) {
+    res.status(400).json({ error: 'Invalid wallet address' });
+    return;
+  }
+
+  try {
+    const mint = resolveMint(req.query.mint);
+    // resolveMint only lets configured mints through
+    const token = getToken(mint) as TokenConfig;
+    const { holders } = await loadHolderList({ mint });
+    const holder = holders.find((candidate) => candidate.owner === wallet);
+    if (!holder && !PublicKey.isOnCurve(key.toBytes())) {
+      res.status(400).json({ error: 'Not a wallet address' });
+      return;
+    }
+    const standings = holderStandings(
+      holders
+        .filter((candidate) => !candidate.landmark)
+        .map(({ owner, percentage, og }) => ({ owner, share: Number(percentage), og }))
+    );
+
+    const requestedSize = Number(req.query.size);
+    const size = req.query.size !== undefined && requestedSize >= 0 && requestedSize <= 1
+      ? requestedSize
+      : holder?.normalizedSize ?? 0;
+
+    const character = getCharacterSpec(wallet, size, {
+      ...getCharacterOptions(token),
+      behaviour: { since: holder?.since },
+      standing: standings.get(wallet),
+    });
+    res.setHeader('Cache-Control', format === 'json' ? JSON_CACHE_CONTROL : IMAGE_CACHE_CONTROL);
+
+    if (format === 'json') {
+      res.status(200).json({ character, holder: Boolean(holder) });
+      return;
+    }
+
+    const svg = renderCharacterSvg(character, {
+      // Out of range or not a number, it's clamped or the default
+      size: clampImageSize(Number(req.query.px)),
+      background: backgroundOf(token, req.query.background),
+      bubble: req.query.bubble !== '0' && req.query.bubble !== 'false',
+    });
+    if (format === 'svg') {
+      res.setHeader('Content-Type', 'image/svg+xml');
+      res.status(200).send(svg);
+    } else {
+      res.setHeader('Content-Type', 'image/png');
+      res.status(200).send(await toPng(svg));
+    }
+  } catch (error) {
+    if (error instanceof UnknownMintError) {
+      res.status(404).json({ error: error.message });
+      return;
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Failed to describe character' })
+  }
+}
@@ -1,95 +1,123 @@
 import type { NextApiRequest, NextApiResponse } from 'next'
-import { Connection, PublicKey } from '@solana/web3.js'
-import { TOKEN_PROGRAM_ID } from '@solana/spl-token'
-import { AccountLayout } from '@solana/spl-token'
-const programId = process.env.NEXT_PUBLIC_PROGRAM_ID
-const MAX_SUPPLY = 1_000_000_000_000_000;
-const MAX_HOLDERS = 1000;
+import type { Holder } from '../../lib/holders'
+import { HOLDER_SCHEMA_VERSION, type HolderListResponse } from '../../lib/schema'
+import { loadHolderList, SnapshotNotFoundError } from '../../lib/holders/list'
+import { paginate, InvalidCursorError } from '../../lib/holders/pagination'
+import { resolveMint, UnknownMintError } from '../../lib/tokens'
 
-type ResponseData = {
-  holders?: { owner: string; amount: string; percentage: number }[]
-  message?: string
-  error?: string
-}
-const RPC_API_KEY = process.env.RPC_API_KEY | "YOUR KEY";
+type ResponseData = HolderListResponse | { message?: string; error?: string }
+
+// Number of NDJSON lines written per chunk when streaming
+const STREAM_BATCH_SIZE = 500;
+
+/**
+ * Lists token holders, largest first.
+ *
+ * - `GET /api/hello?cursor=&limit=` returns one page as JSON along with the
+ *   `nextCursor` to pass for the following page (`null` on the last one).
+ * - `GET /api/hello?format=ndjson` (or `Accept: application/x-ndjson`) sends
+ *   every holder, one JSON object per line. The total count is sent up front in
+ *   the `X-Total-Count` header. The list is built from the snapshot in full
+ *   first (sizes are relative to the largest holder), then written in batches
+ *   as fast as the client reads them.
+ *
+ * Both carry `HOLDER_SCHEMA_VERSION` (`version` / `X-Schema-Version`) so the
+ * plane can tell when it's talking to a server with a different holder shape.
+ *
+ * Holders come from the latest snapshot unless `?snapshot=<id>` asks for an
+ * older one. The snapshot used is reported in `snapshot` / `X-Snapshot-Id`.
+ *
+ * `?mint=` picks one of the tokens in `config/tokens.json`; without it the
+ * default token is used.
+ */
 export default async function handler(
   req: NextApiRequest,
   res: NextApiResponse<ResponseData>
 ) {
   if (req.method === 'GET') {
-    // Add cache-control header
-    res.setHeader(
-      'Cache-Control',
-      's-maxage=10, stale-while-revalidate'
-    );
+    const snapshotId = typeof req.query.snapshot === 'string' ? req.query.snapshot : undefined;
 
     try {
-      // Connect to Solana network (use your preferred RPC endpoint)
-      const connection = new Connection(`https://omniscient-white-dawn.solana-mainnet.quiknode.pro/${RPC_API_KEY}/`)
-      
-      // Replace with your SPL token mint address
-      const mintAddress = new PublicKey(programId as string)
-
-      // Get all token accounts for this mint
-      const tokenAccounts = await connection.getProgramAccounts(
-        TOKEN_PROGRAM_ID,
-        {
-          filters: [
-            {
-              dataSize: 165,
-            },
-            {
-              memcmp: {
-                offset: 0,
-                bytes: mintAddress.toBase58(),
-              },
-            },
-          ],
-        }
+      const mint = resolveMint(req.query.mint);
+      const { snapshot, holders } = await loadHolderList({ mint, snapshotId });
+      // Past snapshots never change, but only once one has actually loaded
+      res.setHeader(
+        'Cache-Control',
+        snapshotId ? 's-maxage=31536000, immutable' : 's-maxage=10, stale-while-revalidate'
       );
-      
-      // Create a map to aggregate amounts by owner
-      const holdersMap = new Map<string, bigint>();
-      
-      // Aggregate amounts for each owner
-      tokenAccounts.forEach((account) => {
-        const decoded = AccountLayout.decode(new Uint8Array(account.account.data));
-        if (decoded.amount > 0) {
-          const owner = new PublicKey(decoded.owner).toBase58();
-          const amount = BigInt(decoded.amount.toString());
-          holdersMap.set(owner, (holdersMap.get(owner) || BigInt(0)) + amount);
-        }
-      });
+      res.setHeader('X-Snapshot-Id', snapshot.id);
+
+      if (req.query.format === 'ndjson' || req.headers.accept?.includes('application/x-ndjson')) {
+        await streamHolders(res, holders);
+        return;
+      }
 
-      // Convert map to array and format
-      const holders = Array.from(holdersMap.entries())
-        .map(([owner, amount]) => ({
-          owner,
-          amount,
-          percentage: (Number(amount) / Number(MAX_SUPPLY)) * 100
-        }))
-        .sort((a, b) => Number(b.amount - a.amount))
-        .slice(1, MAX_HOLDERS + 1)
-        .map((holder, _, array) => {
-          // Get the maximum amount (first holder in array, since we already sliced off the absolute largest)
-          const maxAmount = Number(array[0].amount);
-          // Get the normalized value between 0 and 1
-          const normalizedAmount = Number(holder.amount) / maxAmount;
-          
-          return {
-            owner: holder.owner,
-            amount: holder.amount.toString(),
-            percentage: holder.percentage,
-            normalizedSize: normalizedAmount // This will be 1.0 for the largest holder in our set
-          };
-        });
+      const { items, nextCursor } = paginate(holders, {
+        cursor: typeof req.query.cursor === 'string' ? req.query.cursor : undefined,
+        limit: Number(req.query.limit) || undefined,
+      });
 
-      res.status(200).json({ holders });
+      res.status(200).json({
+        version: HOLDER_SCHEMA_VERSION,
+        holders: items,
+        snapshot: { id: snapshot.id, takenAt: snapshot.takenAt },
+        token: snapshot.token ?? null,
+        total: holders.length,
+        nextCursor,
+      });
     } catch (error) {
+      // A missing snapshot or a failed scan may succeed on the next try
+      if (!res.headersSent) {
+        res.setHeader('Cache-Control', 'no-store');
+      }
+      if (error instanceof InvalidCursorError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      if (error instanceof SnapshotNotFoundError || error instanceof UnknownMintError) {
+        res.status(404).json({ error: error.message });
+        return;
+      }
       console.error(error);
       res.status(500).json({ error: 'Failed to fetch token holders' })
     }
   } else {
     res.status(405).json({ message: 'Method not allowed' })
   }
-} 
\ No newline at end of file
+}
+
+async function streamHolders(res: NextApiResponse, holders: Holder[]) {
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('X-Total-Count', String(holders.length));
+  res.setHeader('X-Schema-Version', String(HOLDER_SCHEMA_VERSION));
+
+  for (let i = 0; i < holders.length; i += STREAM_BATCH_SIZE) {
+    const flushed = res.write(
+      holders
+        .slice(i, i + STREAM_BATCH_SIZE)
+        .map((holder) => JSON.stringify(holder) + '\n')
+        .join('')
+    );
+    // Wait for a slow client to catch up rather than buffering the whole list
+    if (!flushed && !(await drained(res))) {
+      return;
+    }
+  }
+  res.end();
+}
+
+// Resolves true once `res` can take more, or false if the client went away first
+function drained(res: NextApiResponse): Promise<boolean> {
+  return new Promise((resolve) => {
+    const done = (result: boolean) => () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      resolve(result);
+    };
+    const onDrain = done(true);
+    const onClose = done(false);
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
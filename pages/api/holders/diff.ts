@@ -0,0 +1,81 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getHolderFilter } from '../../../lib/holders/filters'
+import {
+  getLatestSnapshot,
+  getSnapshot,
+  getSnapshotStore,
+  summarize,
+  type Snapshot,
+  type SnapshotSummary,
+} from '../../../lib/snapshots'
+import { diffSnapshots, type SnapshotDiff } from '../../../lib/snapshots/diff'
+import { resolveMint, UnknownMintError } from '../../../lib/tokens'
+
+type ResponseData = Partial<SnapshotDiff> & {
+  from?: SnapshotSummary
+  to?: SnapshotSummary
+  message?: string
+  error?: string
+}
+
+/**
+ * `GET /api/holders/diff?mint=&from=&to=` classifies every wallet whose balance moved
+ * between two snapshots as new, exited, accumulating or distributing.
+ *
+ * `to` defaults to the latest snapshot and `from` to the one taken just before
+ * `to`.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ResponseData>
+) {
+  if (req.method === 'GET') {
+    const fromId = typeof req.query.from === 'string' ? req.query.from : undefined;
+    const toId = typeof req.query.to === 'string' ? req.query.to : undefined;
+
+    try {
+      const mint = resolveMint(req.query.mint);
+      const store = getSnapshotStore(mint);
+      const to = toId ? await getSnapshot(mint, toId, store) : await getLatestSnapshot(mint, store);
+      if (!to) {
+        res.status(404).json({ error: `Snapshot "${toId}" not found` });
+        return;
+      }
+
+      let from: Snapshot | null;
+      if (fromId) {
+        from = await getSnapshot(mint, fromId, store);
+      } else {
+        const summaries = await store.list();
+        const previous = summaries[summaries.findIndex((summary) => summary.id === to.id) + 1];
+        from = previous ? await getSnapshot(mint, previous.id, store) : null;
+      }
+      if (!from) {
+        res.status(404).json({
+          error: fromId ? `Snapshot "${fromId}" not found` : `No snapshot before "${to.id}"`,
+        });
+        return;
+      }
+
+      // Diffs between two fixed snapshots never change
+      res.setHeader(
+        'Cache-Control',
+        fromId && toId ? 's-maxage=31536000, immutable' : 's-maxage=10, stale-while-revalidate'
+      );
+      res.status(200).json({
+        from: summarize(from),
+        to: summarize(to),
+        ...diffSnapshots(from, to, await getHolderFilter(mint)),
+      });
+    } catch (error) {
+      if (error instanceof UnknownMintError) {
+        res.status(404).json({ error: error.message });
+        return;
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Failed to diff snapshots' })
+    }
+  } else {
+    res.status(405).json({ message: 'Method not allowed' })
+  }
+}
@@ -0,0 +1,52 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getLiveSource } from '../../../lib/live'
+import { HOLDER_SCHEMA_VERSION } from '../../../lib/schema'
+import { resolveMint, UnknownMintError } from '../../../lib/tokens'
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = 25_000;
+
+/**
+ * `GET /api/holders/live?mint=` is a Server-Sent Events stream. Every time holders
+ * change it sends a `delta` event whose data is a `HolderDelta`: the wallets
+ * that arrived, left, grew or shrank, with their new holder entries, tagged
+ * with the holder schema `version`.
+ */
+export default function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ message: 'Method not allowed' })
+    return;
+  }
+
+  let mint: string;
+  try {
+    mint = resolveMint(req.query.mint);
+  } catch (error) {
+    if (error instanceof UnknownMintError) {
+      res.status(404).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Compression would buffer events until the stream ends
+    'Content-Encoding': 'none',
+  });
+  // Tell the browser how long to wait before reconnecting if the stream drops
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = getLiveSource(mint).subscribe((delta) => {
+    res.write(`event: delta\ndata: ${JSON.stringify({ version: HOLDER_SCHEMA_VERSION, ...delta })}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  });
+}
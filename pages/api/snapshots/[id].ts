@@ -0,0 +1,41 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import type { Holder } from '../../../lib/holders'
+import { loadHolderList, SnapshotNotFoundError } from '../../../lib/holders/list'
+import { HOLDER_SCHEMA_VERSION } from '../../../lib/schema'
+import { summarize, type SnapshotSummary } from '../../../lib/snapshots'
+import { resolveMint, UnknownMintError } from '../../../lib/tokens'
+
+type ResponseData = {
+  version?: typeof HOLDER_SCHEMA_VERSION
+  snapshot?: SnapshotSummary
+  holders?: Holder[]
+  message?: string
+  error?: string
+}
+
+/**
+ * `GET /api/snapshots/:id?mint=` returns one snapshot with its holders,
+ * filtered and sized the same way `/api/hello` does.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ResponseData>
+) {
+  if (req.method === 'GET') {
+    try {
+      const mint = resolveMint(req.query.mint);
+      const { snapshot, holders } = await loadHolderList({ mint, snapshotId: req.query.id as string });
+      res.setHeader('Cache-Control', 's-maxage=31536000, immutable');
+      res.status(200).json({ version: HOLDER_SCHEMA_VERSION, snapshot: summarize(snapshot), holders });
+    } catch (error) {
+      if (error instanceof SnapshotNotFoundError || error instanceof UnknownMintError) {
+        res.status(404).json({ error: error.message });
+        return;
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Failed to load snapshot' })
+    }
+  } else {
+    res.status(405).json({ message: 'Method not allowed' })
+  }
+}
@@ -0,0 +1,59 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getSnapshotStore, summarize, takeSnapshot, type SnapshotSummary } from '../../../lib/snapshots'
+import { resolveMint, UnknownMintError } from '../../../lib/tokens'
+
+type ResponseData = {
+  snapshots?: SnapshotSummary[]
+  snapshot?: SnapshotSummary
+  message?: string
+  error?: string
+}
+
+/**
+ * - `GET /api/snapshots?mint=&limit=` lists stored snapshots, newest first.
+ * - `POST /api/snapshots?mint=` takes a snapshot now. Meant for a cron job, so
+ *   it requires `Authorization: Bearer <SNAPSHOT_SECRET>`.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ResponseData>
+) {
+  let mint: string;
+  try {
+    mint = resolveMint(req.query.mint);
+  } catch (error) {
+    if (error instanceof UnknownMintError) {
+      res.status(404).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+
+  if (req.method === 'GET') {
+    res.setHeader('Cache-Control', 's-maxage=10, stale-while-revalidate');
+
+    try {
+      const snapshots = await getSnapshotStore(mint).list(Number(req.query.limit) || undefined);
+      res.status(200).json({ snapshots });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to list snapshots' })
+    }
+  } else if (req.method === 'POST') {
+    const secret = process.env.SNAPSHOT_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+
+    try {
+      const snapshot = await takeSnapshot(mint);
+      res.status(201).json({ snapshot: summarize(snapshot) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to take snapshot' })
+    }
+  } else {
+    res.status(405).json({ message: 'Method not allowed' })
+  }
+}
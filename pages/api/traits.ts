@@ -0,0 +1,89 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getCharacterSpec } from '../../lib/characterSpec'
+import type { Holder } from '../../lib/holders'
+import { loadHolderList } from '../../lib/holders/list'
+import {
+  getTraitOdds,
+  rankRarity,
+  type RarityEntry,
+  type RarityReport,
+  type TraitDistribution,
+} from '../../lib/rarity'
+import { getCharacterOptions, getToken, getTraitPacks, resolveMint, UnknownMintError, type TokenConfig } from '../../lib/tokens'
+
+type ResponseData = {
+  odds?: ReturnType<typeof getTraitOdds>
+  distribution?: TraitDistribution
+  total?: number
+  rarest?: RarityEntry[]
+  wallet?: RarityEntry | null
+  snapshot?: { id: string; takenAt: string }
+  message?: string
+  error?: string
+}
+
+const DEFAULT_RAREST = 20;
+const MAX_RAREST = 500;
+
+// Reports hang off the holder list they were ranked from
+const reports = new WeakMap<Holder[], RarityReport>();
+
+function getReport(holders: Holder[], token: TokenConfig) {
+  let report = reports.get(holders);
+  if (!report) {
+    const options = getCharacterOptions(token);
+    // Landmarks are signposts, not characters
+    report = rankRarity(
+      holders
+        .filter((holder) => !holder.landmark)
+        .map((holder) => getCharacterSpec(holder.owner, holder.normalizedSize, options))
+    );
+    reports.set(holders, report);
+  }
+  return report;
+}
+
+/**
+ * `GET /api/traits?mint=` publishes the odds of every trait, how the current
+ * holders are actually distributed across them, and the `?limit=` rarest
+ * wallets (20 by default, up to 500). `?wallet=` adds that wallet's traits,
+ * rarity score and rank, or `null` when it doesn't hold the token.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ResponseData>
+) {
+  if (req.method === 'GET') {
+    try {
+      const mint = resolveMint(req.query.mint);
+      // resolveMint only lets configured mints through
+      const token = getToken(mint) as TokenConfig;
+      const { snapshot, holders } = await loadHolderList({ mint });
+      const report = getReport(holders, token);
+
+      const limit = Math.min(Math.max(Number(req.query.limit) || DEFAULT_RAREST, 1), MAX_RAREST);
+      const wallet = typeof req.query.wallet === 'string' ? req.query.wallet : undefined;
+
+      res.setHeader('Cache-Control', 's-maxage=10, stale-while-revalidate');
+      res.status(200).json({
+        odds: getTraitOdds(getTraitPacks(token)),
+        distribution: report.distribution,
+        total: report.total,
+        rarest: report.ranked.slice(0, limit),
+        ...(wallet !== undefined && {
+          wallet: report.ranked.find((entry) => entry.wallet === wallet) ?? null,
+        }),
+        snapshot: { id: snapshot.id, takenAt: snapshot.takenAt },
+      });
+    } catch (error) {
+      if (error instanceof UnknownMintError) {
+        res.status(404).json({ error: error.message });
+        return;
+      }
+      console.error(error);
+      res.status(500).json({ error: 'Failed to rank traits' })
+    }
+  } else {
+    res.status(405).json({ message: 'Method not allowed' })
+  }
+}
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Builds the character art in app/svg into:
+ *
+ *   assets.json   every part as a plain element tree, by id, plus the speech
+ *                 bubbles in speech/*.svg
+ *   catalog.json  the bodies, heads (by mood) and accessories of each trait
+ *                 pack, in order, with their weights
+ *
+ * A trait pack is a directory under packs/ with SVG files and a manifest.json
+ * listing its parts: `file`, `category` (`body`, `head` or `accessory`), `mood`
+ * (heads), and optionally `anchor` (`{ x, y }` offset in the part's viewBox
+ * units) and `colorSlots` (fills that take the character's body colour,
+ * default `["#aaaaaa"]`).
+ *
+ * Bodies and heads also take a `weight` (default 1) and `points`, where their
+ * art puts the points accessories are worn on, when it's not where they
+ * usually are (see lib/accessories.ts). Accessories take a `slot`, and
+ * optionally the point they're worn `on` and their `layer` (both default to
+ * the slot's), and either an `unlock` or the `chance` of being born with them.
+ *
+ * Characters pick parts by their index in the manifest, so only ever add parts
+ * at the end.
+ *
+ * Colour slots (and `url(...)` paints) become `currentColor` and anchors are
+ * applied here, so the plane and the server draw the trees as they are, with
+ * no DOM.
+ *
+ * Run with `npm run svg` (`dev` and `build` run it first).
+ */
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(fileURLToPath(import.meta.url), '../../app/svg');
+
+const TOKEN =
+  /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<\/([\w:-]+)\s*>|<([\w:-]+)((?:\s+[\w:-]+\s*=\s*"[^"]*")*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+const ENTITY = /&(?:#(\d+)|#x([0-9a-f]+)|(amp|lt|gt|quot|apos));/gi;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decode = (text) =>
+  text.replace(ENTITY, (_, decimal, hex, name) =>
+    decimal ? String.fromCodePoint(Number(decimal)) : hex ? String.fromCodePoint(parseInt(hex, 16)) : NAMED_ENTITIES[name.toLowerCase()]
+  );
+
+const DEFAULT_COLOR_SLOTS = ['#aaaaaa'];
+
+// Fills in `colorSlots` (and `url(...)` paints) become `currentColor`
+function normaliseStyle(style, colorSlots) {
+  return style
+    .split(';')
+    .map((declaration) => declaration.trim())
+    .filter(Boolean)
+    .map((declaration) => {
+      const [property, value] = declaration.split(':').map((part) => part.trim());
+      if ((property === 'fill' && colorSlots.includes(value.toLowerCase())) || value.startsWith('url(')) {
+        return `${property}:currentColor`;
+      }
+      return `${property}:${value}`;
+    })
+    .join(';');
+}
+
+// Enough of XML for the exports of a drawing app: elements, attributes and text
+function parseSvg(markup, file, colorSlots = DEFAULT_COLOR_SLOTS) {
+  const document = { tag: '#document', attributes: {}, children: [] };
+  const stack = [document];
+
+  let position = 0;
+  for (const match of markup.matchAll(TOKEN)) {
+    const [token, closing, tag, attributeList, selfClosing, text] = match;
+    if (match.index !== position) throw new Error(`${file}: can't parse ${markup.slice(position, position + 40)}`);
+    position += token.length;
+
+    const parent = stack[stack.length - 1];
+    if (closing) {
+      if (parent.tag !== closing) throw new Error(`${file}: unexpected </${closing}>`);
+      stack.pop();
+    } else if (tag) {
+      const attributes = {};
+      for (const [, name, value] of (attributeList || '').matchAll(ATTRIBUTE)) {
+        attributes[name] = name === 'style' ? normaliseStyle(decode(value), colorSlots) : decode(value);
+      }
+      const element = { tag, attributes, children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (text !== undefined && text.trim()) {
+      parent.children.push(decode(text.trim()));
+    }
+  }
+
+  if (position !== markup.length) throw new Error(`${file}: can't parse ${markup.slice(position, position + 40)}`);
+  if (stack.length !== 1) throw new Error(`${file}: <${stack[stack.length - 1].tag}> is never closed`);
+  const [svg, ...rest] = document.children;
+  if (!svg || svg.tag !== 'svg' || rest.length) throw new Error(`${file}: expected a single <svg> root`);
+  return svg;
+}
+
+// Moods a head can be drawn for, as in lib/mood.ts
+const MOODS = ['happy', 'sad', 'diamond-hands', 'paper-hands', 'fresh-ape'];
+const CATEGORIES = ['body', 'head', 'accessory'];
+
+// Slots, points and unlocks as in lib/accessories.ts. Accessories are worn on
+// their slot's point and drawn on its layer unless they say otherwise (the body
+// is layer 0 and the head layer 10)
+const ACCESSORY_SLOTS = {
+  aura: { on: 'body.center', layer: -10 },
+  held: { on: 'body.hand', layer: 5 },
+  badge: { on: 'body.chest', layer: 5 },
+  glasses: { on: 'head.eyes', layer: 15 },
+  hat: { on: 'head.top', layer: 20 },
+};
+const POINTS = ['head.top', 'head.eyes', 'body.chest', 'body.hand', 'body.center'];
+const UNLOCKS = ['top-10', 'og'];
+
+const isPoint = (point) => typeof point === 'object' && Number.isFinite(point?.x) && Number.isFinite(point?.y);
+
+// Moves the part by its anchor offset, in the units of its own viewBox
+function anchor(svg, { x = 0, y = 0 } = {}) {
+  if (!x && !y) return svg;
+  return { ...svg, children: [{ tag: 'g', attributes: { transform: `translate(${x} ${y})` }, children: svg.children }] };
+}
+
+function loadPack(pack) {
+  const dir = join(root, 'packs', pack);
+  const manifest = JSON.parse(readFileSync(join(dir, 'manifest.json'), 'utf8'));
+  const fail = (index, message) => {
+    throw new Error(`packs/${pack}/manifest.json: parts[${index}] ${message}`);
+  };
+  if (!Array.isArray(manifest.parts)) throw new Error(`packs/${pack}/manifest.json: expected a "parts" array`);
+
+  const catalog = { description: manifest.description ?? '', bodies: [], heads: {}, accessories: [] };
+  const parts = {};
+  manifest.parts.forEach((part, index) => {
+    const { file, category, mood, weight = 1, points, anchor: offset, colorSlots = DEFAULT_COLOR_SLOTS } = part;
+    if (typeof file !== 'string' || !file.endsWith('.svg')) fail(index, 'needs an SVG "file"');
+    if (!CATEGORIES.includes(category)) fail(index, `has an unknown category ${JSON.stringify(category)}`);
+    if (category === 'head' && !MOODS.includes(mood)) fail(index, `has an unknown mood ${JSON.stringify(mood)}`);
+    if (!(typeof weight === 'number' && weight > 0)) fail(index, 'needs a positive "weight"');
+    if (offset !== undefined && !(Number.isFinite(offset.x ?? 0) && Number.isFinite(offset.y ?? 0))) {
+      fail(index, 'needs a numeric "anchor" { x, y }');
+    }
+    if (!Array.isArray(colorSlots)) fail(index, 'needs "colorSlots" to be a list of colours');
+    if (points !== undefined) {
+      Object.entries(points).forEach(([name, point]) => {
+        if (!POINTS.includes(name) || !name.startsWith(`${category}.`)) fail(index, `can't have a "${name}" point`);
+        if (!isPoint(point)) fail(index, `needs a numeric { x, y } for its "${name}" point`);
+      });
+    }
+
+    const id = `${pack}/${file.slice(0, -'.svg'.length)}`;
+    const markup = readFileSync(join(dir, file), 'utf8');
+    parts[id] = anchor(parseSvg(markup, `packs/${pack}/${file}`, colorSlots.map((color) => color.toLowerCase())), offset);
+
+    if (category === 'accessory') {
+      catalog.accessories.push(accessoryEntry(id, part, (message) => fail(index, message)));
+      return;
+    }
+    const entry = points ? { id, weight, points } : { id, weight };
+    if (category === 'body') catalog.bodies.push(entry);
+    else (catalog.heads[mood] ??= []).push(entry);
+  });
+  return { catalog, parts };
+}
+
+function accessoryEntry(id, { slot, on, layer, chance, unlock }, fail) {
+  const defaults = ACCESSORY_SLOTS[slot];
+  if (!defaults) fail(`has an unknown slot ${JSON.stringify(slot)}`);
+  if (on !== undefined && !POINTS.includes(on)) fail(`is worn on an unknown point ${JSON.stringify(on)}`);
+  if (layer !== undefined && !Number.isFinite(layer)) fail('needs a numeric "layer"');
+  if (unlock !== undefined && !UNLOCKS.includes(unlock)) fail(`has an unknown unlock ${JSON.stringify(unlock)}`);
+  if (unlock === undefined && !(typeof chance === 'number' && chance > 0 && chance <= 1)) {
+    fail('needs an "unlock" or a "chance" between 0 and 1');
+  }
+  if (unlock !== undefined && chance !== undefined) fail('can\'t have both an "unlock" and a "chance"');
+
+  const entry = { id, slot, on: on ?? defaults.on, layer: layer ?? defaults.layer };
+  return unlock ? { ...entry, unlock } : { ...entry, chance };
+}
+
+function loadSpeech() {
+  return readdirSync(join(root, 'speech'))
+    .filter((file) => file.endsWith('.svg'))
+    .sort()
+    .map((file) => ({
+      name: basename(file, '.svg'),
+      svg: parseSvg(readFileSync(join(root, 'speech', file), 'utf8'), join('speech', file)),
+    }));
+}
+
+const packs = readdirSync(join(root, 'packs'), { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .map((entry) => entry.name)
+  .sort();
+
+const assets = { speech: loadSpeech(), parts: {} };
+const catalog = {};
+packs.forEach((pack) => {
+  const loaded = loadPack(pack);
+  Object.assign(assets.parts, loaded.parts);
+  catalog[pack] = loaded.catalog;
+});
+
+writeFileSync(join(root, 'assets.json'), `${JSON.stringify(assets, null, 1)}\n`);
+writeFileSync(join(root, 'catalog.json'), `${JSON.stringify(catalog, null, 2)}\n`);
+packs.forEach((pack) => {
+  const { bodies, heads, accessories } = catalog[pack];
+  console.log(
+    `${pack}: ${bodies.length} bodies, ` +
+      Object.entries(heads).map(([mood, entries]) => `${entries.length} ${mood} heads, `).join('') +
+      `${accessories.length} accessories`
+  );
+});
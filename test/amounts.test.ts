@@ -0,0 +1,52 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { formatUnits, percentOf, ratio } from '../lib/amounts'
+
+// Well past Number.MAX_SAFE_INTEGER (2^53 - 1), where floats start rounding
+const HUGE_SUPPLY = BigInt('123456789012345678901234567');
+
+test('formatUnits with 0 decimals is the integer itself', () => {
+  assert.equal(formatUnits(BigInt(0), 0), '0');
+  assert.equal(formatUnits(BigInt(1500), 0), '1500');
+});
+
+test('formatUnits with 9 decimals pads and trims the fraction', () => {
+  assert.equal(formatUnits(BigInt(1), 9), '0.000000001');
+  assert.equal(formatUnits(BigInt(1500000000), 9), '1.5');
+  assert.equal(formatUnits(BigInt(2000000000), 9), '2');
+  assert.equal(formatUnits(BigInt(-1500000000), 9), '-1.5');
+});
+
+test('formatUnits keeps every digit of amounts above 2^53', () => {
+  assert.equal(formatUnits(HUGE_SUPPLY, 0), '123456789012345678901234567');
+  assert.equal(formatUnits(HUGE_SUPPLY, 9), '123456789012345678.901234567');
+});
+
+test('percentOf truncates to the given places', () => {
+  assert.equal(percentOf(BigInt(1), BigInt(3)), '33.333333');
+  assert.equal(percentOf(BigInt(1), BigInt(3), 0), '33');
+  assert.equal(percentOf(BigInt(5), BigInt(5)), '100');
+  assert.equal(percentOf(BigInt(0), BigInt(5)), '0');
+});
+
+test('percentOf of an empty supply is 0', () => {
+  assert.equal(percentOf(BigInt(5), BigInt(0)), '0');
+});
+
+test('percentOf stays exact for supplies above 2^53', () => {
+  // One base unit more than a hundredth of the supply
+  const bag = HUGE_SUPPLY / BigInt(100) + BigInt(1);
+  assert.equal(percentOf(bag, HUGE_SUPPLY), '1');
+  assert.equal(percentOf(HUGE_SUPPLY / BigInt(2), HUGE_SUPPLY, 9), '49.999999999');
+});
+
+test('ratio is amount / max, and 0 without a max', () => {
+  assert.equal(ratio(BigInt(1), BigInt(4)), 0.25);
+  assert.equal(ratio(BigInt(4), BigInt(4)), 1);
+  assert.equal(ratio(BigInt(1), BigInt(0)), 0);
+});
+
+test('ratio is accurate for amounts above 2^53', () => {
+  assert.equal(ratio(HUGE_SUPPLY, HUGE_SUPPLY * BigInt(4)), 0.25);
+  assert.equal(ratio(HUGE_SUPPLY - BigInt(1), HUGE_SUPPLY), 0.999999999);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createCamera } from '../app/lib/camera'
+
+const VIEWPORT = { width: 1920, height: 1080, centerX: 960, centerY: 540 };
+const ZOOMS = [0.01, 0.1, 0.5, 1, 3, 20];
+const POINTS = [{ x: 0, y: 0 }, { x: 1234.5, y: -678 }, { x: -250000, y: 90000 }];
+
+// Surfaces of a phone, a wide desktop window and one offset in the page; with
+// no SVG inside, the camera fits the viewport to their box
+const SURFACES = [
+  { left: 0, top: 0, width: 390, height: 844 },
+  { left: 0, top: 0, width: 2560, height: 1080 },
+  { left: 120, top: 64, width: 1280, height: 720 },
+].map((rect) => ({ getBoundingClientRect: () => rect, querySelector: () => null }));
+
+const close = (actual: { x: number; y: number }, expected: { x: number; y: number }, tolerance = 1e-6) => {
+  assert.ok(
+    Math.abs(actual.x - expected.x) <= tolerance * Math.max(1, Math.abs(expected.x)) &&
+      Math.abs(actual.y - expected.y) <= tolerance * Math.max(1, Math.abs(expected.y)),
+    `(${actual.x}, ${actual.y}) isn't (${expected.x}, ${expected.y})`
+  );
+};
+
+test('world points survive a trip to the screen and back at any zoom', () => {
+  SURFACES.forEach((surface) => {
+    const camera = createCamera(VIEWPORT);
+    camera.measure(surface);
+    ZOOMS.forEach((scale) => {
+      const viewBox = { x: -37, y: 120, scale };
+      POINTS.forEach((point) => {
+        const client = camera.toClient(viewBox, point);
+        close(camera.toWorld(viewBox, client.x, client.y), point);
+      });
+    });
+  });
+});
+
+test('zooming keeps the world point under the cursor where it is', () => {
+  const camera = createCamera(VIEWPORT);
+  camera.measure(SURFACES[2]);
+  let viewBox = { x: 0, y: 0, scale: 1 };
+  ZOOMS.forEach((scale) => {
+    const before = camera.toWorld(viewBox, 300, 500);
+    viewBox = camera.zoomAt(viewBox, 300, 500, scale / viewBox.scale);
+    close(camera.toWorld(viewBox, 300, 500), before);
+  });
+});
+
+test('dragging moves the world one to one with the pointer', () => {
+  const camera = createCamera(VIEWPORT);
+  camera.measure(SURFACES[0]);
+  const viewBox = { x: 10, y: 20, scale: 0.25 };
+  const point = { x: 400, y: -80 };
+  const before = camera.toClient(viewBox, point);
+  close(camera.toClient(camera.panBy(viewBox, 15, -40), point), { x: before.x + 15, y: before.y - 40 });
+});
+
+test('lookAt puts the point in the middle of the surface', () => {
+  SURFACES.forEach((surface) => {
+    const camera = createCamera(VIEWPORT);
+    const { left, top, width, height } = camera.measure(surface);
+    close(camera.toClient(camera.lookAt(POINTS[1], 2), POINTS[1]), { x: left + width / 2, y: top + height / 2 });
+  });
+});
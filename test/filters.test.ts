@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getHolderFilter } from '../lib/holders/filters'
+import { buildHolderList } from '../lib/holders'
+import { getBondingCurveAddress } from '../lib/holders/labels'
+import type { RawHolder } from '../lib/holders/types'
+
+const MINT = 'Bz7DnicBV3dF2GDiy9CFdt7fbFQgjeDkQGpSAu5ipump';
+const BURN = '1nc1nerator11111111111111111111111111111111';
+const EXCHANGE = '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9';
+const DEV = '7oUZgKUiQUX1XHvsZ8HHs7KEZW1cFSGKpxqYxE3qLKZe';
+
+// Only the variables under test; NODE_ENV doesn't matter here
+const env = (vars: Record<string, string>) => vars as unknown as NodeJS.ProcessEnv;
+const raw = (owner: string, amount: number): RawHolder => ({ owner, amount: BigInt(amount) });
+
+const HOLDERS = [
+  raw(getBondingCurveAddress(MINT), 800),
+  raw(BURN, 400),
+  raw(EXCHANGE, 300),
+  raw(DEV, 200),
+  raw('whale', 100),
+  raw('shrimp', 25),
+];
+
+test('pools, burn, exchange and denylisted wallets are left out', async () => {
+  const filter = await getHolderFilter(MINT, env({ HOLDER_DENYLIST: `${DEV}=Dev wallet` }));
+  assert.deepEqual(
+    [getBondingCurveAddress(MINT), BURN, EXCHANGE, DEV, 'whale'].map((owner) => filter.classify(owner)?.category ?? null),
+    ['pool', 'burn', 'exchange', 'custom', null]
+  );
+  assert.equal(filter.classify(DEV)?.label, 'Dev wallet');
+
+  const holders = buildHolderList(HOLDERS, filter);
+  assert.deepEqual(holders.map((holder) => holder.owner), ['whale', 'shrimp']);
+});
+
+test('only the chosen categories are excluded', async () => {
+  const filter = await getHolderFilter(MINT, env({ HOLDER_EXCLUDE_CATEGORIES: 'burn' }));
+  assert.deepEqual(
+    buildHolderList(HOLDERS, filter).map((holder) => holder.owner),
+    [getBondingCurveAddress(MINT), EXCHANGE, DEV, 'whale', 'shrimp']
+  );
+});
+
+test('sizes are relative to the largest degen', async () => {
+  const filter = await getHolderFilter(MINT, env({ HOLDER_DENYLIST: DEV }));
+  assert.deepEqual(buildHolderList(HOLDERS, filter).map((holder) => holder.normalizedSize), [1, 0.25]);
+});
+
+test('landmarks come first at full size', async () => {
+  const filter = await getHolderFilter(MINT, env({ HOLDER_DENYLIST: DEV, HOLDER_EXCLUDED_MODE: 'landmark' }));
+  const holders = buildHolderList(HOLDERS, filter);
+
+  assert.deepEqual(
+    holders.map(({ owner, normalizedSize, landmark }) => [owner, normalizedSize, landmark?.category ?? null]),
+    [
+      [getBondingCurveAddress(MINT), 1, 'pool'],
+      [BURN, 1, 'burn'],
+      [EXCHANGE, 1, 'exchange'],
+      [DEV, 1, 'custom'],
+      ['whale', 1, null],
+      ['shrimp', 0.25, null],
+    ]
+  );
+});
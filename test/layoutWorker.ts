@@ -0,0 +1,44 @@
+import { mulberry32 } from '../lib/random'
+
+// Runs the layout worker in-process: it only needs a `self` to post to
+const messages: any[] = [];
+(globalThis as any).self = { postMessage: (message: any) => messages.push(message) };
+require('../app/workers/characterGenerator.js');
+
+export interface Item {
+  holderID: string;
+  size: number;
+  share?: number;
+  landmark?: boolean;
+}
+
+export interface Box {
+  left: number;
+  right: number;
+  top: number;
+  bottom: number;
+  width: number;
+  height: number;
+}
+
+// Positions for a whole holder list, sent in one message as the plane does
+export function layOut(data: Item[], layout?: string) {
+  messages.length = 0;
+  (globalThis as any).self.onmessage({ data: { data, layout } });
+  return messages[messages.length - 1].positions;
+}
+
+// `count` holders with seeded sizes, largest first like the holder list
+export function holders(count: number, seed = 1): Item[] {
+  const rand = mulberry32(seed);
+  const sizes = Array.from({ length: count }, () => Math.pow(rand(), 3)).sort((a, b) => b - a);
+  const total = sizes.reduce((acc, size) => acc + size, 0);
+  return sizes.map((size, index) => ({
+    holderID: `holder${index}x${Math.floor(rand() * 1e9).toString(36)}`,
+    size,
+    share: (size / total) * 100,
+  }));
+}
+
+export const intersects = (a: Box, b: Box) =>
+  a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
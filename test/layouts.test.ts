@@ -0,0 +1,74 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CHARACTER_FOOTPRINT, characterScale } from '../lib/characterSpec'
+import { Box, holders, intersects, layOut } from './layoutWorker'
+
+const data = holders(200, 3);
+const distance = ({ x, y }: { x: number; y: number }) => Math.hypot(x, y);
+const within = (inner: Box, outer: Box, slack = 1e-6) =>
+  inner.left >= outer.left - slack &&
+  inner.right <= outer.right + slack &&
+  inner.top >= outer.top - slack &&
+  inner.bottom <= outer.bottom + slack;
+
+['grid', 'rings', 'treemap'].forEach((layout) => {
+  test(`${layout} gives the same positions for the same holders`, () => {
+    assert.deepEqual(layOut(data, layout), layOut(data, layout));
+  });
+});
+
+test('grid keeps every character inside its rank-order cell', () => {
+  const positions = layOut(data, 'grid');
+  const columns = Math.ceil(Math.sqrt(data.length));
+  const cell = positions[1].x - positions[0].x;
+  assert.ok(cell >= CHARACTER_FOOTPRINT * characterScale(1));
+
+  positions.forEach((position: any, index: number) => {
+    const left = positions[0].x + (index % columns) * cell - cell / 2;
+    const top = positions[0].y + Math.floor(index / columns) * cell - cell / 2;
+    assert.ok(within(position.boundingBox, { left, top, right: left + cell, bottom: top + cell, width: cell, height: cell }));
+  });
+});
+
+test('rings keep tiers in separate bands without overlaps', () => {
+  const positions = layOut(data, 'rings');
+  const bands = [1, 0.1, 0].map((minShare, tier, tiers) =>
+    positions
+      .filter((_: unknown, index: number) => {
+        const share = data[index].share as number;
+        return share >= minShare && (tier === 0 || share < tiers[tier - 1]);
+      })
+      .map(distance)
+  );
+
+  for (let tier = 1; tier < bands.length; tier++) {
+    if (bands[tier - 1].length && bands[tier].length) {
+      assert.ok(Math.max(...bands[tier - 1]) < Math.min(...bands[tier]), `tier ${tier} starts inside tier ${tier - 1}`);
+    }
+  }
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      assert.ok(!intersects(positions[i].boundingBox, positions[j].boundingBox));
+    }
+  }
+});
+
+test('treemap cells tile the square in proportion to each share', () => {
+  const positions = layOut(data, 'treemap');
+  const cells: Box[] = positions.map(({ cell }: any) => ({ ...cell, right: cell.left + cell.width, bottom: cell.top + cell.height }));
+  const bounds = {
+    left: Math.min(...cells.map((cell) => cell.left)),
+    top: Math.min(...cells.map((cell) => cell.top)),
+    right: Math.max(...cells.map((cell) => cell.right)),
+    bottom: Math.max(...cells.map((cell) => cell.bottom)),
+  };
+  const area = (bounds.right - bounds.left) * (bounds.bottom - bounds.top);
+  const totalShare = data.reduce((acc, item) => acc + (item.share as number), 0);
+
+  cells.forEach((cell, index) => {
+    assert.ok(within(positions[index].boundingBox, cell), `character ${index} spills out of its cell`);
+    const expected = (data[index].share as number) / totalShare;
+    assert.ok(Math.abs((cell.width * cell.height) / area - expected) < 1e-9, `cell ${index} isn't in proportion`);
+  });
+  assert.ok(Math.abs(cells.reduce((acc, cell) => acc + cell.width * cell.height, 0) - area) < area * 1e-9);
+});
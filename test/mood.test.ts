@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DIAMOND_HANDS_AGE, getMood } from '../lib/mood'
+
+const NOW = Date.parse('2024-06-01T00:00:00.000Z');
+const RECENTLY = new Date(NOW - 24 * 60 * 60 * 1000).toISOString();
+const LONG_AGO = new Date(NOW - DIAMOND_HANDS_AGE).toISOString();
+
+test('unchanged wallets keep their temperament until they become diamond hands', () => {
+  assert.equal(getMood('sad', {}, NOW), 'sad');
+  assert.equal(getMood('happy', { change: null, since: RECENTLY }, NOW), 'happy');
+  assert.equal(getMood('sad', { since: LONG_AGO }, NOW), 'diamond-hands');
+});
+
+test('accumulating wallets are happy, or diamond hands once they have held long enough', () => {
+  assert.equal(getMood('sad', { change: 'accumulating', since: RECENTLY }, NOW), 'happy');
+  assert.equal(getMood('sad', { change: 'accumulating', since: LONG_AGO }, NOW), 'diamond-hands');
+});
+
+test('selling makes paper hands, however long the wallet held', () => {
+  assert.equal(getMood('happy', { change: 'distributing', since: LONG_AGO }, NOW), 'paper-hands');
+  assert.equal(getMood('happy', { change: 'exited', since: RECENTLY }, NOW), 'paper-hands');
+});
+
+test('new wallets are fresh apes', () => {
+  assert.equal(getMood('sad', { change: 'new', since: RECENTLY }, NOW), 'fresh-ape');
+});
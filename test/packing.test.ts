@@ -0,0 +1,22 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { holders, intersects, layOut } from './layoutWorker'
+
+test('packed characters never overlap', () => {
+  const positions = layOut(holders(300), 'spiral');
+  assert.equal(positions.length, 300);
+
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      assert.ok(
+        !intersects(positions[i].boundingBox, positions[j].boundingBox),
+        `${positions[i].walletAddress} overlaps ${positions[j].walletAddress}`
+      );
+    }
+  }
+});
+
+test('packing the same holders gives the same positions', () => {
+  const data = holders(300, 7);
+  assert.deepEqual(layOut(data, 'spiral'), layOut(data, 'spiral'));
+});
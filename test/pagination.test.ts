@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { decodeCursor, encodeCursor, InvalidCursorError, MAX_PAGE_SIZE, paginate } from '../lib/holders/pagination'
+
+test('cursors round-trip their offset', () => {
+  [0, 1, 1000, 123456].forEach((offset) => {
+    assert.equal(decodeCursor(encodeCursor(offset)), offset);
+  });
+});
+
+test('malformed cursors throw InvalidCursorError', () => {
+  ['', 'zz', Buffer.from('o:').toString('hex'), Buffer.from('x:12').toString('hex')].forEach((cursor) => {
+    assert.throws(() => decodeCursor(cursor), InvalidCursorError);
+  });
+});
+
+test('pages follow each other until the last one', () => {
+  const items = Array.from({ length: 25 }, (_, index) => index);
+  const first = paginate(items, { limit: 10 });
+  assert.deepEqual(first.items, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+  const second = paginate(items, { cursor: first.nextCursor as string, limit: 10 });
+  assert.equal(second.items[0], 10);
+
+  const last = paginate(items, { cursor: second.nextCursor as string, limit: 10 });
+  assert.deepEqual(last.items, [20, 21, 22, 23, 24]);
+  assert.equal(last.nextCursor, null);
+});
+
+test('page sizes are clamped', () => {
+  const items = Array.from({ length: MAX_PAGE_SIZE + 10 }, (_, index) => index);
+  assert.equal(paginate(items, { limit: MAX_PAGE_SIZE * 2 }).items.length, MAX_PAGE_SIZE);
+  assert.equal(paginate(items, { limit: -5 }).items.length, 1);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getCharacterSpec } from '../lib/characterSpec'
+import { mulberry32 } from '../lib/random'
+import { characterTraits, getTraitOdds, rankRarity } from '../lib/rarity'
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const rand = mulberry32(42);
+const WALLETS = Array.from({ length: 200 }, () =>
+  Array.from({ length: 44 }, () => BASE58[Math.floor(rand() * BASE58.length)]).join('')
+);
+
+const sum = (odds: Record<string, number>) => Object.values(odds).reduce((acc, chance) => acc + chance, 0);
+
+test('the odds of every trait add up to 1', () => {
+  const { temperament, body, head, accessory } = getTraitOdds();
+  [temperament, body, accessory, ...Object.values(head)].forEach((odds) => {
+    assert.ok(Math.abs(sum(odds) - 1) < 1e-9);
+  });
+});
+
+test('rarer wallets rank first, ties by address', () => {
+  const { total, distribution, ranked } = rankRarity(WALLETS.map((wallet) => getCharacterSpec(wallet, 0.5)));
+  assert.equal(total, WALLETS.length);
+  assert.deepEqual(ranked.map((entry) => entry.rank), WALLETS.map((_, index) => index + 1));
+
+  ranked.slice(1).forEach((entry, index) => {
+    const previous = ranked[index];
+    assert.ok(previous.score > entry.score || (previous.score === entry.score && previous.wallet < entry.wallet));
+  });
+  // Every wallet's score is what its traits' frequencies say
+  ranked.forEach(({ traits, score }) => {
+    const expected = Object.entries(traits).reduce(
+      (acc, [name, value]) => acc - Math.log2(distribution[name as keyof typeof distribution][value] / total),
+      0
+    );
+    assert.ok(Math.abs(score - expected) < 1e-9);
+  });
+});
+
+test('a wallet alone with a trait outranks everyone who shares all theirs', () => {
+  const specs = WALLETS.slice(0, 4).map((wallet) => ({ ...getCharacterSpec(WALLETS[0], 0.5), wallet }));
+  specs[3] = { ...specs[3], colorFamily: specs[0].colorFamily === 'red' ? 'blue' : 'red' };
+  assert.equal(rankRarity(specs).ranked[0].wallet, specs[3].wallet);
+});
+
+test('moods and earned accessories leave rarity alone', () => {
+  const born = WALLETS.map((wallet) => getCharacterSpec(wallet, 0.5));
+  const lived = WALLETS.map((wallet, index) =>
+    getCharacterSpec(wallet, 0.5, {
+      behaviour: { change: index % 2 ? 'exited' : 'new', since: '2020-01-01T00:00:00.000Z' },
+      standing: { rank: 1, og: true },
+    })
+  );
+
+  assert.notDeepEqual(lived.map((spec) => [spec.mood, spec.accessories]), born.map((spec) => [spec.mood, spec.accessories]));
+  assert.deepEqual(lived.map(characterTraits), born.map(characterTraits));
+  assert.deepEqual(rankRarity(lived), rankRarity(born));
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffSnapshots } from '../lib/snapshots/diff'
+import { assignSlots } from '../lib/snapshots/slots'
+import { getOgOwners } from '../lib/snapshots'
+import { createMemoryStore } from '../lib/snapshots/stores/memory'
+import type { Snapshot } from '../lib/snapshots/types'
+import type { RawHolder } from '../lib/holders/types'
+import type { HolderFilter } from '../lib/holders/filters'
+
+const snapshot = (holders: Snapshot['holders']): Snapshot => ({
+  id: 'test',
+  mint: 'mint',
+  takenAt: '2024-01-01T00:00:00.000Z',
+  provider: 'fixture',
+  holders,
+});
+
+const raw = (owner: string, amount: number): RawHolder => ({ owner, amount: BigInt(amount) });
+
+test('diffSnapshots reports joins, leaves and resizes, biggest move first', () => {
+  const from = snapshot([['stays', '100'], ['grows', '100'], ['shrinks', '100'], ['leaves', '50']]);
+  const to = snapshot([['stays', '100'], ['grows', '400'], ['shrinks', '90'], ['joins', '20']]);
+  const { changes, counts } = diffSnapshots(from, to);
+
+  assert.deepEqual(changes, [
+    { owner: 'grows', status: 'accumulating', fromAmount: '100', toAmount: '400', delta: '300' },
+    { owner: 'leaves', status: 'exited', fromAmount: '50', toAmount: '0', delta: '-50' },
+    { owner: 'joins', status: 'new', fromAmount: '0', toAmount: '20', delta: '20' },
+    { owner: 'shrinks', status: 'distributing', fromAmount: '100', toAmount: '90', delta: '-10' },
+  ]);
+  assert.deepEqual(counts, { new: 1, exited: 1, accumulating: 1, distributing: 1 });
+});
+
+test('diffSnapshots leaves out wallets the filter classifies', () => {
+  const filter: HolderFilter = {
+    mode: 'hide',
+    classify: (owner) => (owner === 'pool' ? { label: 'Pool', category: 'pool' } : null),
+  };
+  const { changes } = diffSnapshots(snapshot([['pool', '1']]), snapshot([['pool', '2'], ['joins', '1']]), filter);
+  assert.deepEqual(changes.map((change) => change.owner), ['joins']);
+});
+
+test('first slots go to the largest bags', () => {
+  assert.deepEqual(assignSlots(null, [raw('small', 1), raw('large', 3), raw('medium', 2)]), [2, 0, 1]);
+});
+
+test('holders keep their slots however their bags move', () => {
+  const previous = snapshot([['a', '300', 0], ['b', '200', 1], ['c', '100', 2]]);
+  assert.deepEqual(assignSlots(previous, [raw('c', 1000), raw('a', 1), raw('b', 5)]), [2, 0, 1]);
+});
+
+test('newcomers take the lowest slots freed by sellers, largest bag first', () => {
+  const previous = snapshot([['a', '300', 0], ['b', '200', 1], ['c', '100', 2], ['d', '50', 3]]);
+  const slots = assignSlots(previous, [raw('a', 300), raw('d', 50), raw('small', 10), raw('large', 500), raw('mid', 20)]);
+  assert.deepEqual(slots, [0, 3, 4, 1, 2]);
+});
+
+test('OGs are the holders of the oldest snapshot', async () => {
+  const store = createMemoryStore({ namespace: 'og-test' });
+  await store.save({ ...snapshot([['og', '1'], ['later', '1']]), id: 'second', takenAt: '2024-02-01T00:00:00.000Z' });
+  await store.save({ ...snapshot([['og', '1']]), id: 'first' });
+  assert.equal((await store.first())?.id, 'first');
+  assert.deepEqual([...(await getOgOwners('mint', store))], ['og']);
+});
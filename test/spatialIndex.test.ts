@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildSpatialIndex, querySpatialIndex, sceneRegion } from '../app/lib/spatialIndex'
+import { DETAIL_TIERS, levelOfDetail } from '../app/lib/levelOfDetail'
+import { mulberry32 } from '../lib/random'
+
+type Rect = { left: number; top: number; right: number; bottom: number }
+
+const rand = mulberry32(5);
+const scatter = (count: number, spread: number) =>
+  Array.from({ length: count }, () => ({ x: (rand() - 0.5) * spread, y: (rand() - 0.5) * spread }));
+
+// Two batches, as the plane keeps them after a chunked load
+const first = scatter(400, 200000);
+const second = scatter(300, 200000);
+const segments = [first, second].map((positions, batch) => ({
+  offset: batch * first.length,
+  index: buildSpatialIndex(positions) as NonNullable<ReturnType<typeof buildSpatialIndex>>,
+}));
+const everyone = [...first, ...second];
+const reach = Math.max(...segments.map(({ index }) => index.reach));
+
+const near = ({ x, y }: { x: number; y: number }, { left, top, right, bottom }: Rect, margin: number) =>
+  x >= left - margin && x <= right + margin && y >= top - margin && y <= bottom + margin;
+
+test('queries find everyone drawn in view, in list order', () => {
+  const views: Rect[] = [
+    { left: -5000, top: -5000, right: 5000, bottom: 5000 },
+    { left: 40000, top: -90000, right: 60000, bottom: -70000 },
+    { left: -150000, top: -150000, right: 150000, bottom: 150000 },
+    { left: 500000, top: 500000, right: 510000, bottom: 510000 },
+  ];
+
+  views.forEach((view) => {
+    const found = querySpatialIndex(segments, view);
+    assert.deepEqual(found, [...found].sort((a, b) => a - b));
+    assert.equal(new Set(found).size, found.length);
+
+    everyone.forEach((position, index) => {
+      if (near(position, view, reach)) {
+        assert.ok(found.includes(index), `${index} is in view but wasn't found`);
+      }
+    });
+    // Edge cells can add a few more, but nobody a cell beyond the reach
+    found.forEach((index: number) => {
+      const cellSize = segments[index < first.length ? 0 : 1].index.cellSize;
+      assert.ok(near(everyone[index], view, reach + cellSize));
+    });
+  });
+});
+
+test('empty batches have no index and find nobody', () => {
+  assert.equal(buildSpatialIndex([]), null);
+  assert.deepEqual(querySpatialIndex([{ offset: 0, index: null }], { left: 0, top: 0, right: 1, bottom: 1 }), []);
+});
+
+test('scene regions hold the view and stay put while it pans inside them', () => {
+  const view = { left: 100, top: 200, right: 900, bottom: 700 };
+  const region = sceneRegion(view);
+  assert.ok(region.left <= view.left && region.top <= view.top && region.right >= view.right && region.bottom >= view.bottom);
+  assert.deepEqual(sceneRegion({ left: 150, top: 250, right: 950, bottom: 750 }), region);
+});
+
+test('detail tiers switch at their zoom thresholds', () => {
+  assert.deepEqual(DETAIL_TIERS.map((tier) => tier.id), ['dot', 'silhouette', 'full']);
+  assert.equal(levelOfDetail(0.001), 'dot');
+  assert.equal(levelOfDetail(0.0399), 'dot');
+  assert.equal(levelOfDetail(0.04), 'silhouette');
+  assert.equal(levelOfDetail(0.1199), 'silhouette');
+  assert.equal(levelOfDetail(0.12), 'full');
+  assert.equal(levelOfDetail(8), 'full');
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getTraitRolls, LATEST_TRAIT_SEED_VERSION, LEGACY_TRAIT_SEED_VERSION } from '../lib/traits'
+import { getToken, getTraitSeedVersion } from '../lib/tokens'
+
+const WOD_MINT = 'Bz7DnicBV3dF2GDiy9CFdt7fbFQgjeDkQGpSAu5ipump';
+const WALLETS = [WOD_MINT, '7oUZgKUiQUX1XHvsZ8HHs7KEZW1cFSGKpxqYxE3qLKZe', '1nc1nerator11111111111111111111111111111111'];
+
+// The plane's original derivation, kept verbatim: the char codes of the
+// address summed, one PRNG stream drawn mood, speech, body, head, and
+// `randomColor` seeded with the sum and a '1'
+function baselineRolls(wallet: string) {
+  const sum = wallet.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  let seed = sum * 37;
+  const rand = () => {
+    let t = (seed += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return { mood: rand(), speech: rand(), body: rand(), head: rand(), color: sum + '1' };
+}
+
+test('WOD stays on the legacy trait seed', () => {
+  const token = getToken(WOD_MINT);
+  assert.ok(token);
+  assert.equal(getTraitSeedVersion(token), LEGACY_TRAIT_SEED_VERSION);
+});
+
+test('tokens without a trait seed version get the latest', () => {
+  const token = getToken(WOD_MINT);
+  assert.ok(token);
+  assert.equal(getTraitSeedVersion({ ...token, traitSeedVersion: undefined }), LATEST_TRAIT_SEED_VERSION);
+});
+
+test('a trait seed migration takes over once it comes due', () => {
+  const token = getToken(WOD_MINT);
+  assert.ok(token);
+  const migrating = { ...token, traitSeedMigration: { version: 2 as const, from: '2027-01-01T00:00:00Z' } };
+  assert.equal(getTraitSeedVersion(migrating, Date.parse('2026-12-31T23:59:59Z')), 1);
+  assert.equal(getTraitSeedVersion(migrating, Date.parse('2027-01-01T00:00:00Z')), 2);
+});
+
+test('version 1 draws what the original plane drew', () => {
+  WALLETS.forEach((wallet) => {
+    const { mood, speech, body, head, color } = getTraitRolls(wallet, 1);
+    assert.deepEqual({ mood, speech, body, head, color }, baselineRolls(wallet));
+  });
+});
+
+test('version 1 is the default', () => {
+  assert.deepEqual(getTraitRolls(WOD_MINT), getTraitRolls(WOD_MINT, 1));
+});
+
+test('version 2 rolls stay the same for a known wallet', () => {
+  assert.deepEqual(getTraitRolls(WOD_MINT, 2), {
+    mood: 0.22655629413202405,
+    speech: 0.5488608886953443,
+    body: 0.6330834773834795,
+    head: 0.857351163867861,
+    color: 823656874,
+    accessory: 0.31307572312653065,
+  });
+});
+
+test('version 2 tells apart addresses with the same characters', () => {
+  const reordered = WOD_MINT.split('').reverse().join('');
+  assert.deepEqual(getTraitRolls(reordered, 1), getTraitRolls(WOD_MINT, 1));
+  assert.notDeepEqual(getTraitRolls(reordered, 2), getTraitRolls(WOD_MINT, 2));
+});